@@ -6,12 +6,25 @@
 // ===== IndexedDB Storage =====
 const ImagenDB = {
     dbName: 'ImagenDB',
+    version: 17,
     storeName: 'images',
+    blobStoreName: 'blobs',
+    cacheStoreName: 'cache',
+    jobStoreName: 'jobs',
+    failureStoreName: 'failures',
+    usageStoreName: 'usage',
+    projectStoreName: 'projects',
+    trashStoreName: 'trash',
+    promptStoreName: 'prompts',
+    snippetStoreName: 'snippets',
+    sessionStoreName: 'sessions',
+    referenceLibraryStoreName: 'referenceLibrary',
+    referenceSetStoreName: 'referenceSets',
     db: null,
 
     async open() {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, 1);
+            const request = indexedDB.open(this.dbName, this.version);
 
             request.onerror = () => reject(request.error);
             request.onsuccess = () => {
@@ -25,21 +38,199 @@ const ImagenDB = {
                     const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
                     store.createIndex('createdAt', 'createdAt', { unique: false });
                 }
+                // Image bytes (generated images and uploaded references) live apart from the metadata
+                if (!db.objectStoreNames.contains(this.blobStoreName)) {
+                    db.createObjectStore(this.blobStoreName, { keyPath: 'id' });
+                }
+                // Lets a delete check whether another image still uses this one as a reference
+                const imageStore = event.target.transaction.objectStore(this.storeName);
+                if (!imageStore.indexNames.contains('referenceIds')) {
+                    imageStore.createIndex('referenceIds', 'referenceIds', { unique: false, multiEntry: true });
+                }
+                // Facet and word indexes for gallery search
+                ['model', 'quality', 'aspectRatio'].forEach(name => {
+                    if (!imageStore.indexNames.contains(name)) {
+                        imageStore.createIndex(name, name, { unique: false });
+                    }
+                });
+                // Curation: favorite is stored as 1/0 because booleans aren't valid index keys
+                if (!imageStore.indexNames.contains('favorite')) {
+                    imageStore.createIndex('favorite', 'favorite', { unique: false });
+                }
+                if (!imageStore.indexNames.contains('tags')) {
+                    imageStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+                }
+                if (!imageStore.indexNames.contains('projectIds')) {
+                    imageStore.createIndex('projectIds', 'projectIds', { unique: false, multiEntry: true });
+                }
+                if (!db.objectStoreNames.contains(this.projectStoreName)) {
+                    db.createObjectStore(this.projectStoreName, { keyPath: 'id' });
+                }
+                // Content hash, so an import can recognise images the library already has
+                if (!imageStore.indexNames.contains('hash')) {
+                    imageStore.createIndex('hash', 'hash', { unique: false });
+                }
+                // Fields added to existing records by a single pass, so two cursors can't overwrite each other
+                const backfills = [];
+                if (!imageStore.indexNames.contains('promptWords')) {
+                    imageStore.createIndex('promptWords', 'promptWords', { unique: false, multiEntry: true });
+                    // Back-fill the word list for images saved before search existed
+                    backfills.push(image => ({ promptWords: tokenizePrompt(image.prompt) }));
+                }
+                // Lineage: the images each image was made from, so its descendants can be looked up
+                if (!imageStore.indexNames.contains('parentIds')) {
+                    imageStore.createIndex('parentIds', 'parentIds', { unique: false, multiEntry: true });
+                    backfills.push(image => ({ parentIds: getImageParentIds(image) }));
+                }
+                if (backfills.length > 0) {
+                    imageStore.openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) return;
+                        cursor.update(backfills.reduce((image, backfill) => ({ ...image, ...backfill(image) }), cursor.value));
+                        cursor.continue();
+                    };
+                }
+                // Results of one model comparison share a compareId
+                if (!imageStore.indexNames.contains('compareId')) {
+                    imageStore.createIndex('compareId', 'compareId', { unique: false });
+                }
+                // Deleted images wait here, with the same reference index so their bytes are kept
+                if (!db.objectStoreNames.contains(this.trashStoreName)) {
+                    const trashStore = db.createObjectStore(this.trashStoreName, { keyPath: 'id' });
+                    trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+                    trashStore.createIndex('referenceIds', 'referenceIds', { unique: false, multiEntry: true });
+                }
+                // A project copy reuses its original's bytes, which must outlive the original while the copy exists
+                [imageStore, event.target.transaction.objectStore(this.trashStoreName)].forEach(store => {
+                    if (!store.indexNames.contains('blobId')) {
+                        store.createIndex('blobId', 'blobId', { unique: false });
+                    }
+                });
+                // Prompt history is keyed by its text so reusing a prompt updates one record
+                if (!db.objectStoreNames.contains(this.promptStoreName)) {
+                    const promptStore = db.createObjectStore(this.promptStoreName, { keyPath: 'text' });
+                    promptStore.createIndex('lastUsedAt', 'lastUsedAt', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(this.snippetStoreName)) {
+                    db.createObjectStore(this.snippetStoreName, { keyPath: 'id' });
+                }
+                // Edit session threads: every turn's prompt and the image that answered it
+                if (!db.objectStoreNames.contains(this.sessionStoreName)) {
+                    const sessionStore = db.createObjectStore(this.sessionStoreName, { keyPath: 'id' });
+                    sessionStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+                }
+                // Named references kept across sessions, keyed by the ID of their bytes in the blob store
+                if (!db.objectStoreNames.contains(this.referenceLibraryStoreName)) {
+                    db.createObjectStore(this.referenceLibraryStoreName, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(this.referenceSetStoreName)) {
+                    db.createObjectStore(this.referenceSetStoreName, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(this.cacheStoreName)) {
+                    db.createObjectStore(this.cacheStoreName, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(this.jobStoreName)) {
+                    const jobStore = db.createObjectStore(this.jobStoreName, { keyPath: 'id' });
+                    jobStore.createIndex('createdAt', 'createdAt', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(this.failureStoreName)) {
+                    const failureStore = db.createObjectStore(this.failureStoreName, { keyPath: 'id' });
+                    failureStore.createIndex('createdAt', 'createdAt', { unique: false });
+                    failureStore.createIndex('model', 'model', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(this.usageStoreName)) {
+                    const usageStore = db.createObjectStore(this.usageStoreName, { keyPath: 'id' });
+                    usageStore.createIndex('createdAt', 'createdAt', { unique: false });
+                }
             };
         });
     },
 
-    async saveImage(imageData) {
+    async saveImage(imageData, blobRecord = null) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            // Metadata and bytes are written together so neither can exist without the other
+            const transaction = this.db.transaction([this.storeName, this.blobStoreName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            if (blobRecord) {
+                transaction.objectStore(this.blobStoreName).put(blobRecord);
+            }
+            store.put({ ...imageData, promptWords: tokenizePrompt(imageData.prompt) });
+            transaction.oncomplete = () => resolve(imageData.id);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    // Merges `changes` into a stored image record; resolves to the updated record (or null if it's gone)
+    async updateImage(id, changes) {
         await this.ensureOpen();
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([this.storeName], 'readwrite');
             const store = transaction.objectStore(this.storeName);
-            const request = store.put(imageData);
+            let updated = null;
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                if (!getRequest.result) return;
+                updated = { ...getRequest.result, ...changes };
+                store.put(updated);
+            };
+            transaction.oncomplete = () => resolve(updated);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    async saveBlob(blobRecord) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.blobStoreName], 'readwrite');
+            const store = transaction.objectStore(this.blobStoreName);
+            const request = store.put(blobRecord);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     },
 
+    async getBlob(id) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.blobStoreName], 'readonly');
+            const store = transaction.objectStore(this.blobStoreName);
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getImage(id) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Loads the records for a set of IDs in one transaction, newest first; unknown IDs are skipped
+    async getImagesByIds(ids) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const images = [];
+            ids.forEach(id => {
+                store.get(id).onsuccess = (e) => {
+                    if (e.target.result) images.push(e.target.result);
+                };
+            });
+            transaction.oncomplete = () => resolve(images.sort((a, b) =>
+                new Date(b.createdAt) - new Date(a.createdAt)
+            ));
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
     async getAllImages() {
         await this.ensureOpen();
         return new Promise((resolve, reject) => {
@@ -57,1277 +248,7453 @@ const ImagenDB = {
         });
     },
 
-    async deleteImage(id) {
+    /**
+     * Reads one page of images, newest first, via the createdAt index.
+     * `cursor` is { createdAt, ids } from the previous page: the page starts at
+     * that timestamp and skips the IDs already returned for it, so images that
+     * share a timestamp are never dropped at a page boundary.
+     * When `onlyIds` is a Set, images outside it are skipped (used by search).
+     */
+    async getImagesPage(cursor = null, limit = 50, onlyIds = null) {
         await this.ensureOpen();
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const transaction = this.db.transaction([this.storeName], 'readonly');
             const store = transaction.objectStore(this.storeName);
-            const request = store.delete(id);
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+            const range = cursor ? IDBKeyRange.upperBound(cursor.createdAt) : null;
+            const seen = new Set(cursor ? cursor.ids : []);
+            const images = [];
+
+            // Walk keys only, then load just the records that make the page
+            const request = store.index('createdAt').openKeyCursor(range, 'prev');
+            request.onsuccess = () => {
+                const result = request.result;
+                if (result && images.length < limit) {
+                    const id = result.primaryKey;
+                    if (!seen.has(id) && (!onlyIds || onlyIds.has(id))) {
+                        const index = images.length;
+                        images.push(null);
+                        store.get(id).onsuccess = (e) => { images[index] = e.target.result; };
+                    }
+                    result.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve(images);
+            transaction.onerror = () => reject(transaction.error);
         });
     },
 
-    async clearAll() {
+    // Primary keys of images whose `indexName` value falls in `range` (all indexed images if null)
+    async getImageIdsByIndex(indexName, range = null) {
         await this.ensureOpen();
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.clear();
-            request.onsuccess = () => resolve();
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const index = transaction.objectStore(this.storeName).index(indexName);
+            const ids = new Set();
+            const request = index.openKeyCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(ids);
+                    return;
+                }
+                ids.add(cursor.primaryKey);
+                cursor.continue();
+            };
             request.onerror = () => reject(request.error);
         });
     },
 
-    async ensureOpen() {
-        if (!this.db) {
-            await this.open();
-        }
-    }
-};
+    // How many images have `key` in an index, and the last `limit` of them by ID (the newest, for generated images)
+    async getImagesByIndexKey(indexName, key, limit) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const index = transaction.objectStore(this.storeName).index(indexName);
+            const range = IDBKeyRange.only(key);
+            let count = 0;
+            const images = [];
+            index.count(range).onsuccess = (e) => {
+                count = e.target.result;
+            };
+            const request = index.openCursor(range, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || limit <= 0) return;
+                images.push(cursor.value);
+                if (images.length < limit) cursor.continue();
+            };
+            transaction.oncomplete = () => resolve({ count, images });
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
 
-// ===== State Management =====
-const state = {
-    apiKey: localStorage.getItem('imagen_api_key') || '',
-    selectedModel: localStorage.getItem('imagen_model') || 'google/gemini-2.5-flash-image',
-    imageSize: localStorage.getItem('imagen_size') || '1024x1024',
-    imageQuality: localStorage.getItem('imagen_quality') || '1K',
-    aspectRatio: localStorage.getItem('imagen_aspect_ratio') || '1:1',
-    imageCount: parseInt(localStorage.getItem('imagen_count')) || 1,
-    references: [], // Dynamic array - unlimited references
-    images: [], // Will be loaded from IndexedDB
-    currentImage: null,
-    pendingBatches: [] // Track pending generation batches { id, prompt, count, completed, failed }
-};
+    // Distinct values of an index, for building facet options
+    async getIndexValues(indexName) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const index = transaction.objectStore(this.storeName).index(indexName);
+            const values = [];
+            const request = index.openKeyCursor(null, 'nextunique');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(values);
+                    return;
+                }
+                values.push(cursor.key);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
 
-// ===== Model Configurations =====
-const MODEL_CONFIGS = {
-    'google/gemini-2.5-flash-image': {
-        name: 'Gemini 2.5 Flash Image',
-        supportsImageSize: true,
-        supportsAspectRatio: true,
-        supportsImageInput: true,
-        maxReferences: 3
+    /**
+     * Moves images into the trash store in one transaction and resolves to the moved records.
+     * Their bytes stay in the blob store until the trash is purged.
+     */
+    async trashImages(ids) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.trashStoreName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const trashStore = transaction.objectStore(this.trashStoreName);
+            const deletedAt = new Date().toISOString();
+            const moved = [];
+            ids.forEach(id => {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    if (!request.result) return;
+                    moved.push(request.result);
+                    trashStore.put({ ...request.result, deletedAt });
+                    store.delete(id);
+                };
+            });
+            transaction.oncomplete = () => resolve(moved);
+            transaction.onerror = () => reject(transaction.error);
+        });
     },
-    'google/gemini-2.5-flash-image-preview': {
-        name: 'Gemini 2.5 Flash Image (Preview)',
-        supportsImageSize: true,
-        supportsAspectRatio: true,
-        supportsImageInput: true,
-        maxReferences: 3
+
+    // Moves trashed images back into the gallery and resolves to the restored records
+    async restoreFromTrash(ids) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.trashStoreName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const trashStore = transaction.objectStore(this.trashStoreName);
+            const restored = [];
+            ids.forEach(id => {
+                const request = trashStore.get(id);
+                request.onsuccess = () => {
+                    if (!request.result) return;
+                    const { deletedAt, ...image } = request.result;
+                    restored.push(image);
+                    store.put(image);
+                    trashStore.delete(id);
+                };
+            });
+            transaction.oncomplete = () => resolve(restored);
+            transaction.onerror = () => reject(transaction.error);
+        });
     },
-    'google/gemini-3-pro-image-preview': {
-        name: 'Gemini 3 Pro Image (Preview)',
-        supportsImageSize: true,
-        supportsAspectRatio: true,
-        supportsImageInput: true,
-        maxReferences: 14
+
+    async getAllTrash() {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.trashStoreName], 'readonly');
+            const store = transaction.objectStore(this.trashStoreName);
+            const request = store.getAll();
+            request.onsuccess = () => {
+                // Most recently deleted first
+                const images = request.result.sort((a, b) =>
+                    new Date(b.deletedAt) - new Date(a.deletedAt)
+                );
+                resolve(images);
+            };
+            request.onerror = () => reject(request.error);
+        });
     },
-    'openai/gpt-5-image': {
-        name: 'GPT-5 Image',
-        supportsImageSize: false,
-        supportsAspectRatio: true,
-        supportsImageInput: true,
-        maxReferences: 1
+
+    /**
+     * Permanently deletes every trashed image matching `predicate` in one transaction and
+     * resolves to the deleted IDs. Bytes of those images and of their references are dropped
+     * too, unless still used by an image in the gallery or the trash, or listed in `keepBlobIds`.
+     */
+    async purgeTrashWhere(predicate, keepBlobIds = []) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.trashStoreName, this.blobStoreName], 'readwrite');
+            const trashStore = transaction.objectStore(this.trashStoreName);
+            const keep = new Set(keepBlobIds);
+            const deletedIds = [];
+
+            const candidates = new Set();
+
+            const cursorRequest = trashStore.openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    if (predicate(cursor.value)) {
+                        deletedIds.push(cursor.primaryKey);
+                        candidates.add(cursor.value.blobId ?? cursor.primaryKey);
+                        (cursor.value.referenceIds || []).forEach(refId => candidates.add(refId));
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                    return;
+                }
+                this.dropUnusedBlobs(transaction, [...candidates].filter(id => !keep.has(id)));
+            };
+            transaction.oncomplete = () => resolve(deletedIds);
+            transaction.onerror = () => reject(transaction.error);
+        });
     },
-    'openai/gpt-5-image-mini': {
-        name: 'GPT-5 Image Mini',
-        supportsImageSize: false,
-        supportsAspectRatio: true,
-        supportsImageInput: true,
-        maxReferences: 1
+
+    async deleteUnusedBlobs(ids) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.trashStoreName, this.blobStoreName], 'readwrite');
+            this.dropUnusedBlobs(transaction, ids);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
     },
-    'black-forest-labs/flux.2-pro': {
-        name: 'Flux 2 Pro',
-        supportsImageSize: false,
-        supportsAspectRatio: true,
-        supportsImageInput: false,
-        maxReferences: 0
+
+    // Deletes blobs that no image record (in the gallery or the trash) owns, shares or references,
+    // within the caller's transaction
+    dropUnusedBlobs(transaction, ids) {
+        const stores = [transaction.objectStore(this.storeName), transaction.objectStore(this.trashStoreName)];
+        const blobStore = transaction.objectStore(this.blobStoreName);
+        ids.forEach(id => {
+            const requests = stores.flatMap(store => [
+                store.count(id),
+                store.index('referenceIds').count(id),
+                store.index('blobId').count(id)
+            ]);
+            let remaining = requests.length;
+            let used = false;
+            requests.forEach(request => {
+                request.onsuccess = () => {
+                    used = used || request.result > 0;
+                    if (--remaining === 0 && !used) blobStore.delete(id);
+                };
+            });
+        });
     },
-    'black-forest-labs/flux.2-max': {
-        name: 'Flux 2 Max',
-        supportsImageSize: false,
-        supportsAspectRatio: true,
-        supportsImageInput: false,
-        maxReferences: 0
+
+    async getCacheEntry(key) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.cacheStoreName], 'readonly');
+            const store = transaction.objectStore(this.cacheStoreName);
+            const request = store.get(key);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
     },
-    'black-forest-labs/flux.2-flex': {
-        name: 'Flux 2 Flex',
-        supportsImageSize: false,
-        supportsAspectRatio: true,
-        supportsImageInput: false,
-        maxReferences: 0
+
+    async setCacheEntry(key, value) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.cacheStoreName], 'readwrite');
+            const store = transaction.objectStore(this.cacheStoreName);
+            const request = store.put({ key, value, updatedAt: Date.now() });
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
     },
-    'black-forest-labs/flux.2-klein-4b': {
-        name: 'Flux 2 Klein 4B',
-        supportsImageSize: false,
-        supportsAspectRatio: true,
-        supportsImageInput: false,
-        maxReferences: 0
+
+    async saveJob(entry) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.jobStoreName], 'readwrite');
+            const store = transaction.objectStore(this.jobStoreName);
+            const request = store.put(entry);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     },
-    'bytedance-seed/seedream-4.5': {
-        name: 'Seedream 4.5',
-        supportsImageSize: false,
-        supportsAspectRatio: true,
-        supportsImageInput: false,
-        maxReferences: 0
+
+    async getAllJobs() {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.jobStoreName], 'readonly');
+            const store = transaction.objectStore(this.jobStoreName);
+            const request = store.getAll();
+            request.onsuccess = () => {
+                // Oldest first so resumed jobs keep their original order
+                const jobs = request.result.sort((a, b) =>
+                    new Date(a.createdAt) - new Date(b.createdAt)
+                );
+                resolve(jobs);
+            };
+            request.onerror = () => reject(request.error);
+        });
     },
-    'sourceful/riverflow-v2-fast-preview': {
-        name: 'Riverflow V2 Fast',
-        supportsImageSize: false,
-        supportsAspectRatio: true,
-        supportsImageInput: false,
-        maxReferences: 0
+
+    async deleteJob(id) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.jobStoreName], 'readwrite');
+            const store = transaction.objectStore(this.jobStoreName);
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
     },
-    'sourceful/riverflow-v2-standard-preview': {
-        name: 'Riverflow V2 Standard',
-        supportsImageSize: false,
-        supportsAspectRatio: true,
-        supportsImageInput: false,
-        maxReferences: 0
+
+    async saveFailure(failure) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.failureStoreName], 'readwrite');
+            const store = transaction.objectStore(this.failureStoreName);
+            const request = store.put(failure);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     },
-    'sourceful/riverflow-v2-max-preview': {
-        name: 'Riverflow V2 Max',
+
+    async getAllFailures() {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.failureStoreName], 'readonly');
+            const store = transaction.objectStore(this.failureStoreName);
+            const request = store.getAll();
+            request.onsuccess = () => {
+                // Sort by createdAt descending (newest first)
+                const failures = request.result.sort((a, b) =>
+                    new Date(b.createdAt) - new Date(a.createdAt)
+                );
+                resolve(failures);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async clearFailures() {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.failureStoreName], 'readwrite');
+            const store = transaction.objectStore(this.failureStoreName);
+            const request = store.clear();
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async saveUsage(record) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.usageStoreName], 'readwrite');
+            const store = transaction.objectStore(this.usageStoreName);
+            const request = store.put(record);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getAllUsage() {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.usageStoreName], 'readonly');
+            const store = transaction.objectStore(this.usageStoreName);
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getAllProjects() {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.projectStoreName], 'readonly');
+            const store = transaction.objectStore(this.projectStoreName);
+            const request = store.getAll();
+            request.onsuccess = () => {
+                const projects = request.result.sort((a, b) => a.name.localeCompare(b.name));
+                resolve(projects);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async saveProject(project) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.projectStoreName], 'readwrite');
+            const store = transaction.objectStore(this.projectStoreName);
+            const request = store.put(project);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Removes the project and takes its ID off every image; the images themselves stay.
+    // Resolves with the IDs of the images that were in it, so the deletion can be undone
+    async deleteProject(id) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.projectStoreName, this.storeName], 'readwrite');
+            transaction.objectStore(this.projectStoreName).delete(id);
+
+            const imageIds = [];
+            const index = transaction.objectStore(this.storeName).index('projectIds');
+            const cursorRequest = index.openCursor(IDBKeyRange.only(id));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                imageIds.push(cursor.value.id);
+                cursor.update({ ...cursor.value, projectIds: cursor.value.projectIds.filter(p => p !== id) });
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve(imageIds);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    // Undoes deleteProject: saves the project again and puts it back on images that still exist
+    async restoreProject(project, imageIds) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.projectStoreName, this.storeName], 'readwrite');
+            transaction.objectStore(this.projectStoreName).put(project);
+
+            const store = transaction.objectStore(this.storeName);
+            imageIds.forEach(id => {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    const image = request.result;
+                    if (!image || (image.projectIds || []).includes(project.id)) return;
+                    store.put({ ...image, projectIds: [...(image.projectIds || []), project.id] });
+                };
+            });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    async getAllPrompts() {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.promptStoreName], 'readonly');
+            const store = transaction.objectStore(this.promptStoreName);
+            const request = store.getAll();
+            request.onsuccess = () => {
+                // Most recently used first
+                const prompts = request.result.sort((a, b) =>
+                    new Date(b.lastUsedAt) - new Date(a.lastUsedAt)
+                );
+                resolve(prompts);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async savePrompt(prompt) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.promptStoreName], 'readwrite');
+            const store = transaction.objectStore(this.promptStoreName);
+            const request = store.put(prompt);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async deletePrompts(texts) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.promptStoreName], 'readwrite');
+            const store = transaction.objectStore(this.promptStoreName);
+            texts.forEach(text => store.delete(text));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    async getAllSnippets() {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.snippetStoreName], 'readonly');
+            const store = transaction.objectStore(this.snippetStoreName);
+            const request = store.getAll();
+            request.onsuccess = () => {
+                const snippets = request.result.sort((a, b) => a.name.localeCompare(b.name));
+                resolve(snippets);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async saveSnippet(snippet) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.snippetStoreName], 'readwrite');
+            const store = transaction.objectStore(this.snippetStoreName);
+            const request = store.put(snippet);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async deleteSnippet(id) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.snippetStoreName], 'readwrite');
+            const store = transaction.objectStore(this.snippetStoreName);
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getAllLibraryReferences() {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.referenceLibraryStoreName], 'readonly');
+            const request = transaction.objectStore(this.referenceLibraryStoreName).getAll();
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.name.localeCompare(b.name)));
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async saveLibraryReference(record) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.referenceLibraryStoreName], 'readwrite');
+            const request = transaction.objectStore(this.referenceLibraryStoreName).put(record);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async deleteLibraryReference(id) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.referenceLibraryStoreName], 'readwrite');
+            const request = transaction.objectStore(this.referenceLibraryStoreName).delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getAllReferenceSets() {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.referenceSetStoreName], 'readonly');
+            const request = transaction.objectStore(this.referenceSetStoreName).getAll();
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.name.localeCompare(b.name)));
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async saveReferenceSet(record) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.referenceSetStoreName], 'readwrite');
+            const request = transaction.objectStore(this.referenceSetStoreName).put(record);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async deleteReferenceSet(id) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.referenceSetStoreName], 'readwrite');
+            const request = transaction.objectStore(this.referenceSetStoreName).delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getSession(id) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.sessionStoreName], 'readonly');
+            const request = transaction.objectStore(this.sessionStoreName).get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async saveSession(session) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.sessionStoreName], 'readwrite');
+            const store = transaction.objectStore(this.sessionStoreName);
+            const request = store.put(session);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Appends a turn to a session thread in one transaction, so turns finishing at
+     * the same time can't overwrite each other. Resolves to the updated session (or null if it's gone).
+     */
+    async addSessionTurn(id, turn) {
+        await this.ensureOpen();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.sessionStoreName], 'readwrite');
+            const store = transaction.objectStore(this.sessionStoreName);
+            let updated = null;
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                if (!getRequest.result) return;
+                updated = {
+                    ...getRequest.result,
+                    turns: [...getRequest.result.turns, turn],
+                    activeImageId: turn.imageId,
+                    updatedAt: turn.createdAt
+                };
+                store.put(updated);
+            };
+            transaction.oncomplete = () => resolve(updated);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    async ensureOpen() {
+        if (!this.db) {
+            await this.open();
+        }
+    }
+};
+
+// ===== State Management =====
+const DEFAULT_TRASH_DAYS = 30; // How long deleted images can still be restored
+const state = {
+    apiKey: localStorage.getItem('imagen_api_key') || '',
+    selectedModel: localStorage.getItem('imagen_model') || 'google/gemini-2.5-flash-image',
+    compareMode: localStorage.getItem('imagen_compare_mode') === 'true',
+    compareModels: JSON.parse(localStorage.getItem('imagen_compare_models') || '[]'), // Models ticked for compare mode
+    comparison: JSON.parse(localStorage.getItem('imagen_comparison') || 'null'), // Latest comparison { id, prompt, models, referenceCount }
+    comparisonImages: [], // Finished results of the comparison shown above the gallery
+    activeSession: null, // Edit session that Generate adds turns to { id, model, turns, activeImageId }
+    modalSession: null, // Session of the image open in the modal
+    inpaint: null, // Region edit open in the modal { image, tool, lastPoint }
+    referenceLibrary: [], // Named references kept across sessions { id, name, tags, thumbnail }
+    referenceSets: [], // Saved groups of reference slots { id, name, referenceIds }
+    referenceFormat: localStorage.getItem('imagen_reference_format') || 'image/webp', // Re-encoding for uploads, or 'original'
+    referenceQuality: parseFloat(localStorage.getItem('imagen_reference_quality')) || 0.85,
+    referenceCrop: localStorage.getItem('imagen_reference_crop') === 'true',
+    imageSize: localStorage.getItem('imagen_size') || '1024x1024',
+    imageQuality: localStorage.getItem('imagen_quality') || '1K',
+    aspectRatio: localStorage.getItem('imagen_aspect_ratio') || '1:1',
+    imageCount: parseInt(localStorage.getItem('imagen_count')) || 1,
+    maxConcurrency: parseInt(localStorage.getItem('imagen_concurrency')) || 3,
+    budgetAmount: parseFloat(localStorage.getItem('imagen_budget_amount')) || 0, // 0 = no budget
+    budgetPeriod: localStorage.getItem('imagen_budget_period') || 'daily',
+    budgetMode: localStorage.getItem('imagen_budget_mode') || 'confirm',
+    promptHistory: [], // { text, starred, useCount, lastUsedAt }, most recently used first
+    promptRecallIndex: -1, // Position in promptHistory while stepping with the arrow keys, -1 = own text
+    promptDraft: '', // What was typed before stepping into the history
+    snippets: [], // Reusable prompt pieces { id, name, text, mode }
+    wildcards: JSON.parse(localStorage.getItem('imagen_wildcards') || '{}'), // Named lists for __name__ in prompt templates
+    references: [], // Dynamic array - unlimited references { id, url } (id points into the blob store)
+    projects: [], // { id, name, createdAt, settings, referenceIds }
+    activeProjectId: localStorage.getItem('imagen_active_project') || null, // null = All Images
+    images: [], // Will be loaded from IndexedDB
+    currentImage: null,
+    galleryCursor: null, // { createdAt, ids } of the oldest loaded page, see ImagenDB.getImagesPage
+    galleryHasMore: true,
+    galleryLoading: false,
+    galleryFilter: {}, // Active search/facets, mirrored in the URL hash (see FILTER_KEYS)
+    galleryFilterIds: null, // Set of matching image IDs, or null when unfiltered
+    unsavedImages: [], // Images that failed to save and only exist in memory, shown or not
+    galleryQueryId: 0, // Bumped on every filter change so stale page loads are dropped
+    storageImages: [], // Image records loaded for the storage manager's cleanup options
+    trashDays: parseInt(localStorage.getItem('imagen_trash_days')) || DEFAULT_TRASH_DAYS,
+    trashImages: [], // Trashed records shown in the Trash view
+    selectedImageIds: new Set(), // Picked gallery images for export and bulk actions
+    pendingBatches: [], // Track pending generation batches { id, prompt, count, completed, failed }
+    queue: [], // Persisted queue entries { id, batchId, job, status, attempts, nextAttemptAt }
+    runningJobs: 0,
+    queueTimer: null,
+    jobControllers: new Map(), // AbortControllers for in-flight requests, keyed by queue entry id
+    failedEntries: [], // Failed queue entries shown as error cards until retried or dismissed
+    usageLedger: [], // Spend records for every billed response { model, cost, tokens, createdAt }
+    sessionStartedAt: new Date().toISOString()
+};
+
+// ===== Queue Configuration =====
+const MAX_CONCURRENCY_LIMIT = 8;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 2000; // Doubles on every attempt
+const RETRY_MAX_DELAY = 60000;
+
+// ===== Cost Estimation =====
+// Rough output token counts per image by resolution, used when we have no history for a model
+const OUTPUT_TOKENS_BY_QUALITY = {
+    '1K': 1290,
+    '2K': 1290,
+    '4K': 2000
+};
+const TOKENS_PER_REFERENCE_IMAGE = 258; // Used when the catalog has no per-image input price
+const CHARS_PER_TOKEN = 4;
+
+// ===== Model Configurations =====
+// Static table used when the live OpenRouter catalog can't be loaded (offline, API down).
+// Also supplies hints the catalog doesn't expose, like image size support and reference limits.
+const FALLBACK_MODEL_CONFIGS = {
+    'google/gemini-2.5-flash-image': {
+        name: 'Gemini 2.5 Flash Image',
+        supportsImageSize: true,
+        supportsAspectRatio: true,
+        supportsImageInput: true,
+        maxReferences: 3,
+        maxReferenceDimension: 2048
+    },
+    'google/gemini-2.5-flash-image-preview': {
+        name: 'Gemini 2.5 Flash Image (Preview)',
+        supportsImageSize: true,
+        supportsAspectRatio: true,
+        supportsImageInput: true,
+        maxReferences: 3,
+        maxReferenceDimension: 2048
+    },
+    'google/gemini-3-pro-image-preview': {
+        name: 'Gemini 3 Pro Image (Preview)',
+        supportsImageSize: true,
+        supportsAspectRatio: true,
+        supportsImageInput: true,
+        maxReferences: 14,
+        maxReferenceDimension: 4096
+    },
+    'openai/gpt-5-image': {
+        name: 'GPT-5 Image',
+        supportsImageSize: false,
+        supportsAspectRatio: true,
+        supportsImageInput: true,
+        maxReferences: 1,
+        maxReferenceDimension: 2048
+    },
+    'openai/gpt-5-image-mini': {
+        name: 'GPT-5 Image Mini',
+        supportsImageSize: false,
+        supportsAspectRatio: true,
+        supportsImageInput: true,
+        maxReferences: 1,
+        maxReferenceDimension: 2048
+    },
+    'black-forest-labs/flux.2-pro': {
+        name: 'Flux 2 Pro',
+        supportsImageSize: false,
+        supportsAspectRatio: true,
+        supportsImageInput: false,
+        maxReferences: 0
+    },
+    'black-forest-labs/flux.2-max': {
+        name: 'Flux 2 Max',
+        supportsImageSize: false,
+        supportsAspectRatio: true,
+        supportsImageInput: false,
+        maxReferences: 0
+    },
+    'black-forest-labs/flux.2-flex': {
+        name: 'Flux 2 Flex',
+        supportsImageSize: false,
+        supportsAspectRatio: true,
+        supportsImageInput: false,
+        maxReferences: 0
+    },
+    'black-forest-labs/flux.2-klein-4b': {
+        name: 'Flux 2 Klein 4B',
         supportsImageSize: false,
         supportsAspectRatio: true,
         supportsImageInput: false,
         maxReferences: 0
+    },
+    'bytedance-seed/seedream-4.5': {
+        name: 'Seedream 4.5',
+        supportsImageSize: false,
+        supportsAspectRatio: true,
+        supportsImageInput: false,
+        maxReferences: 0
+    },
+    'sourceful/riverflow-v2-fast-preview': {
+        name: 'Riverflow V2 Fast',
+        supportsImageSize: false,
+        supportsAspectRatio: true,
+        supportsImageInput: false,
+        maxReferences: 0
+    },
+    'sourceful/riverflow-v2-standard-preview': {
+        name: 'Riverflow V2 Standard',
+        supportsImageSize: false,
+        supportsAspectRatio: true,
+        supportsImageInput: false,
+        maxReferences: 0
+    },
+    'sourceful/riverflow-v2-max-preview': {
+        name: 'Riverflow V2 Max',
+        supportsImageSize: false,
+        supportsAspectRatio: true,
+        supportsImageInput: false,
+        maxReferences: 0
+    }
+};
+
+// Active model table - replaced by the live catalog once it loads
+let MODEL_CONFIGS = { ...FALLBACK_MODEL_CONFIGS };
+
+const MODEL_CATALOG_URL = 'https://openrouter.ai/api/v1/models';
+const MODEL_CATALOG_CACHE_KEY = 'modelCatalog';
+const MODEL_CATALOG_TTL = 24 * 60 * 60 * 1000; // Refresh the catalog once a day
+const DEFAULT_MAX_REFERENCES = 4; // Used for image-input models we have no hint for
+const DEFAULT_MAX_REFERENCE_DIMENSION = 2048; // Longest side of an uploaded reference, for models we have no hint for
+
+// ===== DOM Elements =====
+const elements = {
+    // Sidebar
+    modelSelectContainer: document.getElementById('modelSelectContainer'),
+    modelSelectTrigger: document.getElementById('modelSelectTrigger'),
+    modelSelectValue: document.getElementById('modelSelectValue'),
+    modelSelectOptions: document.getElementById('modelSelectOptions'),
+    compareMode: document.getElementById('compareMode'),
+    compareModelList: document.getElementById('compareModelList'),
+    geminiOptions: document.getElementById('geminiOptions'),
+    apiKey: document.getElementById('apiKey'),
+    saveApiKey: document.getElementById('saveApiKey'),
+    imageCount: document.getElementById('imageCount'),
+    decreaseCount: document.getElementById('decreaseCount'),
+    increaseCount: document.getElementById('increaseCount'),
+    maxConcurrency: document.getElementById('maxConcurrency'),
+    clearReferences: document.getElementById('clearReferences'),
+    openReferenceLibrary: document.getElementById('openReferenceLibrary'),
+    referenceOptions: document.querySelector('.reference-options'),
+    referenceFormat: document.getElementById('referenceFormat'),
+    referenceQuality: document.getElementById('referenceQuality'),
+    referenceQualityValue: document.getElementById('referenceQualityValue'),
+    referenceCrop: document.getElementById('referenceCrop'),
+    referenceMaxDimension: document.getElementById('referenceMaxDimension'),
+    referenceLibraryModal: document.getElementById('referenceLibraryModal'),
+    referenceLibrarySearch: document.getElementById('referenceLibrarySearch'),
+    referenceLibraryContent: document.getElementById('referenceLibraryContent'),
+    referenceLibraryInput: document.getElementById('referenceLibraryInput'),
+    referenceSlots: document.getElementById('referenceSlots'),
+
+    // Main Content
+    promptInput: document.getElementById('promptInput'),
+    charCount: document.getElementById('charCount'),
+    generateBtn: document.getElementById('generateBtn'),
+    costEstimate: document.getElementById('costEstimate'),
+    sessionBar: document.getElementById('sessionBar'),
+    sessionSummary: document.getElementById('sessionSummary'),
+    sessionSteps: document.getElementById('sessionSteps'),
+    endSession: document.getElementById('endSession'),
+    openWildcards: document.getElementById('openWildcards'),
+    openPromptLibrary: document.getElementById('openPromptLibrary'),
+    promptLibraryModal: document.getElementById('promptLibraryModal'),
+    promptLibrarySearch: document.getElementById('promptLibrarySearch'),
+    promptLibraryContent: document.getElementById('promptLibraryContent'),
+    wildcardModal: document.getElementById('wildcardModal'),
+    wildcardContent: document.getElementById('wildcardContent'),
+    comparePanel: document.getElementById('comparePanel'),
+    comparePrompt: document.getElementById('comparePrompt'),
+    compareGrid: document.getElementById('compareGrid'),
+    closeComparison: document.getElementById('closeComparison'),
+    gallery: document.getElementById('gallery'),
+    galleryFilters: document.getElementById('galleryFilters'),
+    gallerySearch: document.getElementById('gallerySearch'),
+    filterModel: document.getElementById('filterModel'),
+    filterQuality: document.getElementById('filterQuality'),
+    filterAspectRatio: document.getElementById('filterAspectRatio'),
+    filterTag: document.getElementById('filterTag'),
+    tagSuggestions: document.getElementById('tagSuggestions'),
+    clearFilters: document.getElementById('clearFilters'),
+    filterStatus: document.getElementById('filterStatus'),
+    selectionBar: document.getElementById('selectionBar'),
+    selectionCount: document.getElementById('selectionCount'),
+    gallerySentinel: document.getElementById('gallerySentinel'),
+    galleryEmpty: document.getElementById('galleryEmpty'),
+    clearGallery: document.getElementById('clearGallery'),
+    openExport: document.getElementById('openExport'),
+    openFailureHistory: document.getElementById('openFailureHistory'),
+    openTrash: document.getElementById('openTrash'),
+
+    // Modal
+    imageModal: document.getElementById('imageModal'),
+    modalOverlay: document.getElementById('modalOverlay'),
+    modalClose: document.getElementById('modalClose'),
+    modalImage: document.getElementById('modalImage'),
+    modalMetadata: document.getElementById('modalMetadata'),
+    useAsReference: document.getElementById('useAsReference'),
+    recreateImage: document.getElementById('recreateImage'),
+    editInSession: document.getElementById('editInSession'),
+    editRegion: document.getElementById('editRegion'),
+    downloadImage: document.getElementById('downloadImage'),
+
+    // Region editing
+    inpaintCanvas: document.getElementById('inpaintCanvas'),
+    inpaintEditor: document.getElementById('inpaintEditor'),
+    inpaintBrushSize: document.getElementById('inpaintBrushSize'),
+    clearInpaintMask: document.getElementById('clearInpaintMask'),
+    inpaintModel: document.getElementById('inpaintModel'),
+    inpaintInstruction: document.getElementById('inpaintInstruction'),
+    cancelInpaint: document.getElementById('cancelInpaint'),
+    submitInpaint: document.getElementById('submitInpaint'),
+
+    // Failure history
+    failureModal: document.getElementById('failureModal'),
+    failureHistoryContent: document.getElementById('failureHistoryContent'),
+    clearFailureHistory: document.getElementById('clearFailureHistory'),
+
+    // Spend
+    spendSummary: document.getElementById('spendSummary'),
+    openSpendDetails: document.getElementById('openSpendDetails'),
+    spendModal: document.getElementById('spendModal'),
+    spendDetailsContent: document.getElementById('spendDetailsContent'),
+    budgetAmount: document.getElementById('budgetAmount'),
+    budgetStatus: document.getElementById('budgetStatus'),
+
+    // Projects
+    projectSelect: document.getElementById('projectSelect'),
+    newProject: document.getElementById('newProject'),
+    renameProject: document.getElementById('renameProject'),
+    deleteProject: document.getElementById('deleteProject'),
+
+    // Storage
+    storageSummary: document.getElementById('storageSummary'),
+    openStorageManager: document.getElementById('openStorageManager'),
+    storageModal: document.getElementById('storageModal'),
+    storageDetailsContent: document.getElementById('storageDetailsContent'),
+
+    // Trash
+    trashModal: document.getElementById('trashModal'),
+    trashContent: document.getElementById('trashContent'),
+
+    // Export & import
+    exportModal: document.getElementById('exportModal'),
+    exportDetailsContent: document.getElementById('exportDetailsContent'),
+    importFileInput: document.getElementById('importFileInput')
+};
+
+// ===== Initialization =====
+async function init() {
+    // Load saved API key
+    if (state.apiKey) {
+        elements.apiKey.value = state.apiKey;
+    }
+
+    // Load projects; the active one supplies its own settings and pinned references
+    try {
+        state.projects = await ImagenDB.getAllProjects();
+    } catch (error) {
+        console.warn('Failed to load projects:', error);
+    }
+    const activeProject = getActiveProject();
+    if (!activeProject) {
+        state.activeProjectId = null;
+    } else if (activeProject.settings) {
+        Object.assign(state, activeProject.settings);
+    }
+    renderProjectSelect();
+
+    // Restore the unsent prompt, and load the history and snippets behind it
+    setPromptText(localStorage.getItem('imagen_prompt_draft') || '');
+    await loadPromptLibrary();
+
+    // Render reference slots
+    await loadReferenceLibrary();
+    renderReferenceOptions();
+    renderReferenceSlots();
+    restoreReferences(getSavedReferenceIds());
+
+    // Load the model catalog, then restore the saved model, size, aspect ratio and image count
+    await loadModelCatalog();
+    syncGenerationControls();
+
+    // Restore saved concurrency limit
+    elements.maxConcurrency.value = state.maxConcurrency;
+
+    // Restore saved budget
+    elements.budgetAmount.value = state.budgetAmount || '';
+    document.querySelectorAll('.btn-budget-period').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.period === state.budgetPeriod);
+    });
+    document.querySelectorAll('.btn-budget-mode').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === state.budgetMode);
+    });
+
+    // Move any old data-URL records into the blob store before loading
+    try {
+        await migrateLegacyImages();
+    } catch (error) {
+        console.error('Storage upgrade failed:', error);
+    }
+
+    // Load the first page of images (filtered by any bookmarked search); the rest stream in as the gallery scrolls
+    await resetGalleryQuery(readFilterFromHash());
+
+    // Load spend history for the spend panel
+    try {
+        state.usageLedger = await ImagenDB.getAllUsage();
+        tallyLedgerCosts(state.usageLedger);
+    } catch (error) {
+        console.warn('Failed to load usage history:', error);
+    }
+    renderSpendSummary();
+
+    // Render gallery
+    renderGallery();
+    observeGallerySentinel();
+    syncFilterControls();
+    renderFilterStatus();
+    renderFilterOptions();
+    renderStorageSummary();
+
+    // Ask the browser not to evict the library under storage pressure. Not awaited:
+    // some browsers only settle this once the user answers a permission prompt
+    requestPersistentStorage().then(renderStorageSummary);
+
+    // Set up event listeners
+    setupEventListeners();
+
+    // Pick up jobs that were queued or in flight when the tab was closed
+    await resumeQueue();
+
+    // Deleted images past the retention period go for good. Runs after the queue is back
+    // so references of resumed jobs count as in use and keep their blobs
+    await purgeExpiredTrash();
+    renderStorageSummary();
+
+    // Show the last comparison, with any of its jobs that just resumed
+    renderComparison();
+
+    // Pick up the edit session that was open
+    await loadActiveSession();
+    renderSessionBar();
+
+    // Initialize UI state
+    updateGeminiOptionsVisibility();
+    updateCostEstimate();
+
+    // Keep long-lived tabs in sync with OpenRouter's model list
+    setInterval(refreshModelCatalog, MODEL_CATALOG_TTL);
+}
+
+// ===== Model Catalog =====
+async function loadModelCatalog() {
+    let cached = null;
+    try {
+        cached = await ImagenDB.getCacheEntry(MODEL_CATALOG_CACHE_KEY);
+    } catch (error) {
+        console.warn('Could not read cached model catalog:', error);
+    }
+
+    if (cached?.value?.length > 0) {
+        applyModelCatalog(cached.value);
+    }
+
+    // Refresh in the background when the cache is missing or stale
+    if (!cached || Date.now() - cached.updatedAt > MODEL_CATALOG_TTL) {
+        refreshModelCatalog();
+    }
+}
+
+async function refreshModelCatalog() {
+    try {
+        const response = await fetch(MODEL_CATALOG_URL);
+        if (!response.ok) {
+            throw new Error(`Catalog error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const models = (data.data || [])
+            .filter(model => model.architecture?.output_modalities?.includes('image'))
+            .map(model => ({
+                id: model.id,
+                name: model.name,
+                architecture: {
+                    input_modalities: model.architecture.input_modalities || [],
+                    output_modalities: model.architecture.output_modalities || []
+                },
+                pricing: model.pricing || {}
+            }));
+
+        if (models.length === 0) {
+            throw new Error('Catalog returned no image models');
+        }
+
+        applyModelCatalog(models);
+        renderModelOptions();
+        await ImagenDB.setCacheEntry(MODEL_CATALOG_CACHE_KEY, models);
+    } catch (error) {
+        console.warn('Could not refresh model catalog, keeping current models:', error);
+    }
+}
+
+function applyModelCatalog(models) {
+    const configs = {};
+    [...models]
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .forEach(model => {
+            configs[model.id] = buildModelConfig(model);
+        });
+    MODEL_CONFIGS = configs;
+
+    // Fall back to the first available model if the saved one was delisted
+    if (!MODEL_CONFIGS[state.selectedModel]) {
+        state.selectedModel = Object.keys(MODEL_CONFIGS)[0];
+        persistSetting('imagen_model', state.selectedModel);
+        updateGeminiOptionsVisibility();
+    }
+}
+
+function buildModelConfig(model) {
+    // The catalog doesn't expose size support or reference limits, so reuse the static hints
+    const fallback = FALLBACK_MODEL_CONFIGS[model.id] || {};
+    const supportsImageInput = model.architecture.input_modalities.includes('image');
+
+    return {
+        name: fallback.name || model.name.replace(/^[^:]+:\s*/, ''),
+        supportsImageSize: fallback.supportsImageSize ?? model.id.includes('gemini'),
+        supportsAspectRatio: fallback.supportsAspectRatio ?? true,
+        supportsImageInput,
+        maxReferences: supportsImageInput ? (fallback.maxReferences || DEFAULT_MAX_REFERENCES) : 0,
+        maxReferenceDimension: fallback.maxReferenceDimension || DEFAULT_MAX_REFERENCE_DIMENSION,
+        modalities: model.architecture.output_modalities,
+        pricing: parseModelPricing(model.pricing)
+    };
+}
+
+function parseModelPricing(pricing) {
+    // OpenRouter reports prices as USD strings (per token, per image, per request)
+    const parsed = {};
+    Object.entries(pricing || {}).forEach(([key, value]) => {
+        const amount = parseFloat(value);
+        if (!isNaN(amount)) parsed[key] = amount;
+    });
+    return parsed;
+}
+
+function renderModelOptions() {
+    elements.modelSelectOptions.innerHTML = '';
+
+    Object.entries(MODEL_CONFIGS).forEach(([modelId, config]) => {
+        const option = document.createElement('div');
+        option.className = 'custom-select-option';
+        option.dataset.value = modelId;
+        option.textContent = config.name;
+        if (modelId === state.selectedModel) {
+            option.classList.add('selected');
+        }
+        elements.modelSelectOptions.appendChild(option);
+    });
+
+    elements.modelSelectValue.textContent = MODEL_CONFIGS[state.selectedModel]?.name || state.selectedModel;
+    renderCompareModels();
+    updateCostEstimate();
+}
+
+// ===== Event Listeners =====
+function setupEventListeners() {
+    // Projects
+    elements.projectSelect.addEventListener('change', () => switchProject(elements.projectSelect.value || null));
+    elements.newProject.addEventListener('click', createProject);
+    elements.renameProject.addEventListener('click', renameProject);
+    elements.deleteProject.addEventListener('click', deleteProject);
+
+    // Custom dropdown - toggle
+    elements.modelSelectTrigger.addEventListener('click', () => {
+        elements.modelSelectContainer.classList.toggle('open');
+    });
+
+    // Custom dropdown - option selection (delegated, options are re-rendered with the catalog)
+    elements.modelSelectOptions.addEventListener('click', (e) => {
+        const option = e.target.closest('.custom-select-option');
+        if (!option) return;
+        state.selectedModel = option.dataset.value;
+        persistSetting('imagen_model', state.selectedModel);
+        elements.modelSelectValue.textContent = option.textContent;
+        document.querySelectorAll('.custom-select-option').forEach(o => o.classList.remove('selected'));
+        option.classList.add('selected');
+        elements.modelSelectContainer.classList.remove('open');
+        updateGeminiOptionsVisibility();
+        updateCostEstimate();
+    });
+
+    // Compare mode
+    elements.compareMode.addEventListener('change', handleCompareModeChange);
+    elements.compareModelList.addEventListener('change', handleCompareModelToggle);
+    elements.compareGrid.addEventListener('click', handleCompareAction);
+    elements.closeComparison.addEventListener('click', closeComparison);
+
+    // Close dropdown when clicking outside
+    document.addEventListener('click', (e) => {
+        if (!elements.modelSelectContainer.contains(e.target)) {
+            elements.modelSelectContainer.classList.remove('open');
+        }
+    });
+
+    // Size toggle buttons
+    document.querySelectorAll('.btn-toggle[data-quality]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.btn-toggle[data-quality]').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            state.imageSize = btn.dataset.size;
+            state.imageQuality = btn.dataset.quality;
+            persistSetting('imagen_size', state.imageSize);
+            persistSetting('imagen_quality', state.imageQuality);
+            updateCostEstimate();
+        });
+    });
+
+    // Aspect ratio buttons
+    document.querySelectorAll('.btn-aspect').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.btn-aspect').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            state.aspectRatio = btn.dataset.ratio;
+            persistSetting('imagen_aspect_ratio', state.aspectRatio);
+        });
+    });
+
+    // Image count
+    if (elements.decreaseCount) {
+        elements.decreaseCount.addEventListener('click', () => {
+            if (state.imageCount > 1) {
+                state.imageCount--;
+                elements.imageCount.value = state.imageCount;
+                persistSetting('imagen_count', state.imageCount);
+                updateCostEstimate();
+            }
+        });
+    }
+
+    if (elements.increaseCount) {
+        elements.increaseCount.addEventListener('click', () => {
+            if (state.imageCount < 8) {
+                state.imageCount++;
+                elements.imageCount.value = state.imageCount;
+                persistSetting('imagen_count', state.imageCount);
+                updateCostEstimate();
+            }
+        });
+    }
+
+    if (elements.imageCount) {
+        elements.imageCount.addEventListener('change', (e) => {
+            let val = parseInt(e.target.value);
+            if (isNaN(val) || val < 1) val = 1;
+            if (val > 8) val = 8;
+            state.imageCount = val;
+            elements.imageCount.value = val;
+            persistSetting('imagen_count', state.imageCount);
+            updateCostEstimate();
+        });
+    }
+
+    // Max concurrent requests
+    elements.maxConcurrency.addEventListener('change', (e) => {
+        let val = parseInt(e.target.value);
+        if (isNaN(val) || val < 1) val = 1;
+        if (val > MAX_CONCURRENCY_LIMIT) val = MAX_CONCURRENCY_LIMIT;
+        state.maxConcurrency = val;
+        elements.maxConcurrency.value = val;
+        localStorage.setItem('imagen_concurrency', state.maxConcurrency);
+        processQueue();
+    });
+
+    // API Key
+    elements.saveApiKey.addEventListener('click', () => {
+        state.apiKey = elements.apiKey.value.trim();
+        localStorage.setItem('imagen_api_key', state.apiKey);
+        showToast('API key saved!', 'success');
+        processQueue();
+    });
+
+    // Reference images are handled by renderReferenceSlots()
+    elements.clearReferences.addEventListener('click', clearAllReferences);
+
+    // Reference preprocessing
+    elements.referenceOptions.addEventListener('toggle', renderReferenceOptions);
+    elements.referenceFormat.addEventListener('change', handleReferenceOptionsChange);
+    elements.referenceQuality.addEventListener('input', handleReferenceOptionsChange);
+    elements.referenceCrop.addEventListener('change', handleReferenceOptionsChange);
+
+    // Reference library
+    elements.openReferenceLibrary.addEventListener('click', openReferenceLibrary);
+    elements.referenceLibrarySearch.addEventListener('input', renderReferenceLibrary);
+    elements.referenceLibraryContent.addEventListener('click', handleReferenceLibraryAction);
+    elements.referenceLibraryInput.addEventListener('change', async (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        await addFilesToReferenceLibrary(files);
+    });
+
+    // Drag & Drop for reference images
+    setupDragAndDrop();
+
+    // Prompt input
+    elements.promptInput.addEventListener('input', () => {
+        elements.charCount.textContent = `${elements.promptInput.value.length} chars`;
+        localStorage.setItem('imagen_prompt_draft', elements.promptInput.value);
+        state.promptRecallIndex = -1;
+        updateCostEstimate();
+    });
+    elements.promptInput.addEventListener('keydown', (e) => {
+        if (handlePromptRecall(e)) e.preventDefault();
+    });
+
+    // Prompt history, saved prompts and snippets
+    elements.openPromptLibrary.addEventListener('click', openPromptLibrary);
+    elements.promptLibrarySearch.addEventListener('input', renderPromptLibrary);
+    elements.promptLibraryContent.addEventListener('click', handlePromptLibraryAction);
+    elements.promptLibraryContent.addEventListener('change', (e) => {
+        if (e.target.dataset.snippetMode) handleSnippetModeChange(e);
+    });
+
+    // Generate button
+    elements.generateBtn.addEventListener('click', generateImages);
+
+    // Prompt template wildcards
+    elements.openWildcards.addEventListener('click', openWildcards);
+    elements.wildcardContent.addEventListener('click', handleWildcardAction);
+    elements.wildcardContent.addEventListener('change', handleWildcardEdit);
+
+    // Clear gallery: only what the current project and filters show
+    elements.clearGallery.addEventListener('click', async () => {
+        let ids;
+        try {
+            ids = [...await getImageIdsInView()];
+        } catch (e) {
+            console.error('Could not read images to clear:', e);
+            showToast('Could not clear the gallery', 'error');
+            return;
+        }
+        if (ids.length === 0) return;
+        const scoped = state.activeProjectId || isGalleryFiltered();
+        const what = scoped ? `the ${ids.length} image(s) in this view` : 'all generated images';
+        if (!confirm(`Move ${what} to the trash? They can be restored from Trash for ${state.trashDays} days.`)) return;
+        await moveImagesToTrash(ids, scoped ? `Moved ${ids.length} image(s) to the trash` : 'Gallery moved to the trash');
+    });
+
+    // Gallery search and filters
+    elements.gallerySearch.addEventListener('input', () => {
+        clearTimeout(searchDebounceTimer);
+        searchDebounceTimer = setTimeout(() => applyGalleryFilter(readFilterControls()), SEARCH_DEBOUNCE);
+    });
+    elements.galleryFilters.querySelectorAll('[data-filter]').forEach(control => {
+        control.addEventListener('change', () => applyGalleryFilter(readFilterControls()));
+    });
+    elements.clearFilters.addEventListener('click', () => applyGalleryFilter({}));
+    // Bookmarks and back/forward between filtered views
+    window.addEventListener('hashchange', () => applyGalleryFilter(readFilterFromHash()));
+
+    // Spend details
+    elements.openSpendDetails.addEventListener('click', openSpendDetails);
+
+    // Budget
+    elements.budgetAmount.addEventListener('change', (e) => {
+        const val = parseFloat(e.target.value);
+        state.budgetAmount = isNaN(val) || val < 0 ? 0 : val;
+        elements.budgetAmount.value = state.budgetAmount || '';
+        localStorage.setItem('imagen_budget_amount', state.budgetAmount);
+        renderSpendSummary();
+    });
+
+    document.querySelectorAll('.btn-budget-period').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.btn-budget-period').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            state.budgetPeriod = btn.dataset.period;
+            localStorage.setItem('imagen_budget_period', state.budgetPeriod);
+            renderSpendSummary();
+        });
+    });
+
+    document.querySelectorAll('.btn-budget-mode').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.btn-budget-mode').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            state.budgetMode = btn.dataset.mode;
+            localStorage.setItem('imagen_budget_mode', state.budgetMode);
+        });
+    });
+
+    // Failure history
+    elements.openFailureHistory.addEventListener('click', openFailureHistory);
+    elements.clearFailureHistory.addEventListener('click', clearFailureHistory);
+
+    // Storage
+    elements.openStorageManager.addEventListener('click', openStorageManager);
+    elements.storageDetailsContent.addEventListener('click', handleStorageAction);
+
+    // Trash
+    elements.openTrash.addEventListener('click', openTrash);
+    elements.trashContent.addEventListener('click', handleTrashAction);
+    elements.trashContent.addEventListener('change', (e) => {
+        if (e.target.id === 'trashDays') handleTrashDaysChange(e);
+    });
+
+    // Selection and bulk actions
+    elements.selectionBar.addEventListener('click', handleBulkAction);
+
+    // Export & import
+    elements.openExport.addEventListener('click', openExportDialog);
+    elements.exportDetailsContent.addEventListener('click', handleExportAction);
+    elements.importFileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        elements.exportModal.classList.remove('active');
+        await importLibraryZip(file);
+    });
+
+    // Panel modals close from their overlay and close button
+    document.querySelectorAll('[data-close-modal]').forEach(el => {
+        el.addEventListener('click', () => el.closest('.modal').classList.remove('active'));
+    });
+
+    // Modal
+    elements.modalOverlay.addEventListener('click', closeModal);
+    elements.modalClose.addEventListener('click', closeModal);
+    elements.useAsReference.addEventListener('click', useImageAsReference);
+    elements.recreateImage.addEventListener('click', recreateImage);
+    elements.editInSession.addEventListener('click', () => {
+        if (state.currentImage) startEditSession(state.currentImage);
+    });
+    elements.modalMetadata.addEventListener('click', handleModalSessionClick);
+    elements.modalMetadata.addEventListener('click', handleLineageClick);
+
+    // Region editing
+    elements.editRegion.addEventListener('click', openInpaintEditor);
+    elements.inpaintCanvas.addEventListener('pointerdown', handleInpaintPointerDown);
+    elements.inpaintCanvas.addEventListener('pointermove', handleInpaintPointerMove);
+    elements.inpaintCanvas.addEventListener('pointerup', endInpaintStroke);
+    elements.inpaintCanvas.addEventListener('pointercancel', endInpaintStroke);
+    elements.inpaintEditor.addEventListener('click', (e) => {
+        const tool = e.target.closest('[data-inpaint-tool]');
+        if (tool) setInpaintTool(tool.dataset.inpaintTool);
+    });
+    elements.clearInpaintMask.addEventListener('click', clearInpaintMask);
+    elements.cancelInpaint.addEventListener('click', closeInpaintEditor);
+    elements.submitInpaint.addEventListener('click', submitInpaint);
+    elements.inpaintInstruction.addEventListener('keydown', (e) => {
+        // Enter submits the edit rather than falling through to the global Ctrl+Enter generate
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            e.stopPropagation();
+            submitInpaint();
+        }
+    });
+
+    // Edit sessions
+    elements.sessionSteps.addEventListener('click', handleSessionStepClick);
+    elements.endSession.addEventListener('click', endEditSession);
+    elements.downloadImage.addEventListener('click', downloadCurrentImage);
+    elements.modalMetadata.addEventListener('click', handleModalCurationClick);
+    elements.modalMetadata.addEventListener('keydown', handleModalTagInput);
+
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => {
+        if (handleCurationShortcut(e)) {
+            e.preventDefault();
+            return;
+        }
+        const typing = e.target instanceof Element && e.target.closest('input, textarea, select');
+        const modalOpen = document.querySelector('.modal.active');
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a' && !typing && !modalOpen) {
+            e.preventDefault();
+            selectAllImages();
+            return;
+        }
+        if (e.key === 'Escape' && !modalOpen && state.selectedImageIds.size > 0) {
+            clearImageSelection();
+        }
+        if (e.key === 'Escape') {
+            closeModal();
+            document.querySelectorAll('.modal.active').forEach(m => m.classList.remove('active'));
+        }
+        if (e.key === 'Enter' && e.ctrlKey) generateImages();
+    });
+
+    // Paste images from clipboard
+    document.addEventListener('paste', handlePaste);
+
+    // Queued jobs resume on the next visit, but in-flight requests are re-sent (and re-billed)
+    window.addEventListener('beforeunload', (e) => {
+        const unsavedCount = state.unsavedImages.length;
+        if (unsavedCount > 0) {
+            e.preventDefault();
+            e.returnValue = `${unsavedCount} image(s) could not be saved and will be lost. Download them before leaving.`;
+            return e.returnValue;
+        }
+
+        const runningCount = state.queue.filter(entry => entry.status === 'running').length;
+        if (runningCount > 0) {
+            e.preventDefault();
+            // Modern browsers ignore custom messages, but we need to return something
+            e.returnValue = `You have ${runningCount} image(s) still generating. If you leave, they will restart on your next visit.`;
+            return e.returnValue;
+        }
+    });
+}
+
+// ===== Paste Handler =====
+function handlePaste(e) {
+    // Don't intercept paste if user is typing in an input field (except prompt)
+    const activeEl = document.activeElement;
+    if (activeEl && activeEl.tagName === 'INPUT' && activeEl.type !== 'text') {
+        return;
+    }
+
+    const items = e.clipboardData?.items;
+    if (!items) return;
+
+    let imageCount = 0;
+    for (const item of items) {
+        if (item.type.startsWith('image/')) {
+            e.preventDefault();
+            const file = item.getAsFile();
+            if (file) {
+                addReferenceFile(file);
+                offerSettingsFromFile(file);
+                imageCount++;
+            }
+        }
+    }
+
+    if (imageCount > 0) {
+        showToast(`${imageCount} image(s) pasted as reference`, 'success');
+    }
+}
+
+// ===== Drag & Drop =====
+function setupDragAndDrop() {
+    const dropZone = elements.referenceSlots;
+
+    ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
+        dropZone.addEventListener(eventName, preventDefaults, false);
+        document.body.addEventListener(eventName, preventDefaults, false);
+    });
+
+    function preventDefaults(e) {
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    ['dragenter', 'dragover'].forEach(eventName => {
+        dropZone.addEventListener(eventName, () => {
+            dropZone.classList.add('drag-over');
+        }, false);
+    });
+
+    ['dragleave', 'drop'].forEach(eventName => {
+        dropZone.addEventListener(eventName, () => {
+            dropZone.classList.remove('drag-over');
+        }, false);
+    });
+
+    dropZone.addEventListener('drop', handleDrop, false);
+}
+
+function handleDrop(e) {
+    const dt = e.dataTransfer;
+    const files = dt.files;
+
+    [...files].forEach(file => {
+        if (file.type.startsWith('image/')) {
+            addReferenceFile(file);
+            offerSettingsFromFile(file);
+        }
+    });
+
+    if (files.length > 0) {
+        showToast(`${files.length} image(s) added as reference`, 'success');
+    }
+}
+
+// ===== Reference Image Handling =====
+function handleReferenceUpload(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    addReferenceFile(file);
+
+    // Reset the input so the same file can be selected again
+    e.target.value = '';
+}
+
+async function addReferenceFile(file) {
+    try {
+        state.references.push(await storeReferenceFile(file));
+        renderReferenceSlots();
+        saveReferenceSelection();
+    } catch (error) {
+        console.error('Failed to store reference image:', error);
+        showToast('Could not add reference image', 'error');
+    }
+}
+
+// Loads references by ID (e.g. from a recreated image) into the slots
+async function restoreReferences(ids) {
+    const refs = await Promise.all(ids.map(async id => ({
+        id,
+        url: await getReferencePreviewUrl(id),
+        ...await getReferenceSizes(id)
+    })));
+    state.references = refs.filter(ref => ref.url);
+    renderReferenceSlots();
+    saveReferenceSelection();
+}
+
+function renderReferenceSlots() {
+    const container = document.getElementById('referenceSlots');
+    container.innerHTML = '';
+
+    // Render existing references
+    state.references.forEach((ref, index) => {
+        const slot = document.createElement('div');
+        slot.className = 'reference-slot filled';
+        slot.dataset.slot = index;
+        slot.innerHTML = `
+            <img src="${sanitizeImageUrl(ref.url)}" alt="Reference ${index + 1}">
+            ${ref.size ? `
+                <span class="reference-size" title="Original ${formatBytes(ref.originalSize)}, sent as ${formatBytes(ref.size)}">
+                    ${ref.originalSize !== ref.size ? `${formatBytes(ref.originalSize)} → ` : ''}${formatBytes(ref.size)}
+                </span>
+            ` : ''}
+            <button class="remove-ref" data-index="${index}">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>
+        `;
+        container.appendChild(slot);
+    });
+
+    // Add "Add new" slot
+    const addSlot = document.createElement('div');
+    addSlot.className = 'reference-slot empty add-new';
+    addSlot.innerHTML = `
+        <span class="slot-label">+ Add</span>
+        <input type="file" accept="image/*" class="reference-input" id="addReferenceInput">
+    `;
+    container.appendChild(addSlot);
+
+    // Attach event listeners
+    container.querySelectorAll('.remove-ref').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const index = parseInt(btn.dataset.index);
+            removeReference(index);
+        });
+    });
+
+    const addInput = container.querySelector('#addReferenceInput');
+    if (addInput) {
+        addInput.addEventListener('change', handleReferenceUpload);
+    }
+
+    updateCostEstimate();
+}
+
+function removeReference(index) {
+    state.references.splice(index, 1);
+    renderReferenceSlots();
+    saveReferenceSelection();
+}
+
+function clearAllReferences() {
+    state.references = [];
+    renderReferenceSlots();
+    saveReferenceSelection();
+    showToast('References cleared', 'success');
+}
+
+// ===== Reference Preprocessing =====
+const SIZED_REFERENCE_CACHE_SIZE = 32; // Downscaled references kept in memory for repeat sends
+const sizedReferenceCache = new Map(); // `${id}@${maxDimension}` -> Promise<Blob>
+
+// Stored uploads keep enough detail for any model; each request is then sized for its own
+function getReferenceMaxDimension() {
+    return Math.max(DEFAULT_MAX_REFERENCE_DIMENSION, ...Object.values(MODEL_CONFIGS).map(config =>
+        config.maxReferenceDimension || DEFAULT_MAX_REFERENCE_DIMENSION
+    ));
+}
+
+/**
+ * Returns a stored reference scaled down for a model that uses smaller images, cached
+ * per size. Falls back to the stored blob when it's already small enough or can't be decoded.
+ */
+function getSizedReferenceBlob(id, blob, maxDimension) {
+    const key = `${id}@${maxDimension}`;
+    if (!sizedReferenceCache.has(key)) {
+        if (sizedReferenceCache.size >= SIZED_REFERENCE_CACHE_SIZE) {
+            sizedReferenceCache.delete(sizedReferenceCache.keys().next().value);
+        }
+        sizedReferenceCache.set(key, downscaleReferenceBlob(blob, maxDimension).catch(error => {
+            console.warn('Could not resize reference, sending it as stored:', error);
+            return blob;
+        }));
+    }
+    return sizedReferenceCache.get(key);
+}
+
+async function downscaleReferenceBlob(blob, maxDimension) {
+    const bitmap = await createImageBitmap(blob);
+    try {
+        const scale = maxDimension / Math.max(bitmap.width, bitmap.height);
+        if (scale >= 1) return blob;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+        // Lossy formats stay lossy; anything else is sent as PNG
+        const type = ['image/jpeg', 'image/webp'].includes(blob.type) ? blob.type : 'image/png';
+        const resized = await new Promise(resolve => canvas.toBlob(resolve, type, state.referenceQuality));
+        return resized && resized.size < blob.size ? resized : blob;
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Shrinks an upload before it's stored, since every request in a batch sends it
+ * again: scaled down to what the models use, optionally cropped to the aspect
+ * ratio, and re-encoded, which applies the EXIF rotation and drops the EXIF data.
+ */
+async function preprocessReferenceImage(file) {
+    if (state.referenceFormat === 'original') return file;
+
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    try {
+        let [sx, sy, sw, sh] = [0, 0, bitmap.width, bitmap.height];
+        const [ratioWidth, ratioHeight] = state.aspectRatio.split(':').map(Number);
+        const crop = state.referenceCrop && ratioWidth > 0 && ratioHeight > 0;
+        if (crop) {
+            // Centre crop to the target ratio
+            const ratio = ratioWidth / ratioHeight;
+            if (sw / sh > ratio) {
+                sx = Math.round((sw - sh * ratio) / 2);
+                sw = Math.round(sh * ratio);
+            } else {
+                sy = Math.round((sh - sw / ratio) / 2);
+                sh = Math.round(sw / ratio);
+            }
+        }
+
+        const scale = Math.min(1, getReferenceMaxDimension() / Math.max(sw, sh));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(sw * scale);
+        canvas.height = Math.round(sh * scale);
+        const ctx = canvas.getContext('2d');
+        if (state.referenceFormat === 'image/jpeg') {
+            // JPEG has no transparency, so transparent areas would otherwise turn black
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        ctx.drawImage(bitmap, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+
+        // Browsers without WebP encoding fall back to PNG
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, state.referenceFormat, state.referenceQuality));
+        if (!blob) {
+            throw new Error('The browser could not encode the image');
+        }
+        // PNG from a browser without WebP can outgrow the upload; keep the upload unless it needed cropping
+        return !crop && blob.size >= file.size ? file : blob;
+    } finally {
+        bitmap.close();
+    }
+}
+
+function renderReferenceOptions() {
+    const original = state.referenceFormat === 'original';
+    elements.referenceFormat.value = state.referenceFormat;
+    elements.referenceQuality.value = state.referenceQuality;
+    elements.referenceQuality.disabled = original;
+    elements.referenceQualityValue.textContent = `${Math.round(state.referenceQuality * 100)}%`;
+    elements.referenceCrop.checked = state.referenceCrop;
+    elements.referenceCrop.disabled = original;
+    elements.referenceMaxDimension.textContent = original
+        ? 'Uploads are stored and sent exactly as they are.'
+        : `New uploads are scaled down to ${getReferenceMaxDimension()} px on the longest side, and again for each model that uses smaller references when sent.`;
+}
+
+function handleReferenceOptionsChange() {
+    state.referenceFormat = elements.referenceFormat.value;
+    state.referenceQuality = parseFloat(elements.referenceQuality.value);
+    state.referenceCrop = elements.referenceCrop.checked;
+    localStorage.setItem('imagen_reference_format', state.referenceFormat);
+    localStorage.setItem('imagen_reference_quality', state.referenceQuality);
+    localStorage.setItem('imagen_reference_crop', state.referenceCrop);
+    renderReferenceOptions();
+}
+
+// ===== Reference Library =====
+const LIBRARY_USAGE_PREVIEW_COUNT = 6; // Thumbnails of images made with a reference
+const referenceUsage = new Map(); // Library reference ID -> { count, images }, reloaded each time the library opens
+
+async function loadReferenceLibrary() {
+    try {
+        state.referenceLibrary = await ImagenDB.getAllLibraryReferences();
+        state.referenceSets = await ImagenDB.getAllReferenceSets();
+    } catch (error) {
+        console.warn('Failed to load reference library:', error);
+    }
+}
+
+// Adds stored reference bytes to the library; an entry that's already there keeps its name and tags
+async function addToReferenceLibrary(id, name) {
+    const existing = state.referenceLibrary.find(ref => ref.id === id);
+    if (existing) return existing;
+
+    const record = await ImagenDB.getBlob(id);
+    if (!record) return null;
+    const { thumbnail } = await createThumbnail(record.blob);
+    const entry = { id, name, tags: [], thumbnail, createdAt: new Date().toISOString() };
+    await ImagenDB.saveLibraryReference(entry);
+    state.referenceLibrary = [...state.referenceLibrary, entry].sort((a, b) => a.name.localeCompare(b.name));
+    return entry;
+}
+
+async function addFilesToReferenceLibrary(files) {
+    let added = 0;
+    for (const file of files) {
+        try {
+            const { id } = await storeReferenceFile(file);
+            if (await addToReferenceLibrary(id, file.name.replace(/\.[^.]+$/, '') || 'Reference')) added++;
+        } catch (error) {
+            console.error('Could not add to the reference library:', error);
+        }
+    }
+    if (added < files.length) {
+        showToast(`${files.length - added} file(s) could not be added`, 'error');
+    }
+    renderReferenceLibrary();
+}
+
+// Library entries for every slot not yet in the library, named after the set they were saved with
+async function addSlotsToReferenceLibrary(baseName) {
+    for (const [index, ref] of state.references.entries()) {
+        await addToReferenceLibrary(ref.id, `${baseName} ${index + 1}`);
+    }
+}
+
+function getLibraryThumbnailUrl(ref) {
+    return ref.thumbnail ? getBlobUrl(`library-${ref.id}`, ref.thumbnail) : getReferencePreviewUrl(ref.id);
+}
+
+function openReferenceLibrary() {
+    elements.referenceLibrarySearch.value = '';
+    referenceUsage.clear();
+    renderReferenceLibrary();
+    elements.referenceLibraryModal.classList.add('active');
+}
+
+async function renderReferenceLibrary() {
+    const query = elements.referenceLibrarySearch.value.trim().toLowerCase();
+    const matches = state.referenceLibrary.filter(ref =>
+        ref.name.toLowerCase().includes(query) || ref.tags.some(tag => tag.includes(query))
+    );
+
+    let rows;
+    try {
+        rows = await Promise.all(matches.map(async ref => ({
+            ref,
+            url: await getLibraryThumbnailUrl(ref),
+            ...await getReferenceUsage(ref.id)
+        })));
+    } catch (error) {
+        console.error('Could not load the reference library:', error);
+        elements.referenceLibraryContent.innerHTML = '<p class="panel-empty">Could not load the reference library.</p>';
+        return;
+    }
+    const setUrls = new Map();
+    for (const set of state.referenceSets) {
+        setUrls.set(set.id, await Promise.all(set.referenceIds.map(async id => {
+            const ref = state.referenceLibrary.find(other => other.id === id);
+            return ref ? getLibraryThumbnailUrl(ref) : getReferencePreviewUrl(id);
+        })));
+    }
+
+    elements.referenceLibraryContent.innerHTML = `
+        <h3 class="panel-section-title">Reference Sets</h3>
+        ${state.referenceSets.length === 0 ? '<p class="panel-empty">No sets yet. Fill the reference slots, then save them as a set to load them together later.</p>' : `
+            <table class="panel-table">
+                <tbody>
+                    ${state.referenceSets.map(set => `
+                        <tr>
+                            <td class="panel-prompt">
+                                <strong>${escapeHtml(set.name)}</strong>
+                                <div class="library-thumbs">
+                                    ${setUrls.get(set.id).filter(Boolean).map(url => `<img src="${sanitizeImageUrl(url)}" alt="">`).join('')}
+                                </div>
+                            </td>
+                            <td class="prompt-library-actions">
+                                <button type="button" class="btn btn-ghost btn-inline" data-library-action="load-set" data-id="${escapeHtml(set.id)}">Load</button>
+                                <button type="button" class="btn btn-ghost btn-inline" data-library-action="delete-set" data-id="${escapeHtml(set.id)}">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `}
+        <div class="panel-actions">
+            <button type="button" class="btn btn-ghost" data-library-action="save-set">Save Current Slots as Set</button>
+        </div>
+
+        <h3 class="panel-section-title">References</h3>
+        ${rows.length === 0 ? `<p class="panel-empty">${query ? 'No references match.' : 'No references yet. Add logos, characters or headshots you use often.'}</p>` : `
+            <table class="panel-table">
+                <tbody>
+                    ${rows.map(({ ref, url, count, images }) => `
+                        <tr>
+                            <td>${url ? `<img class="trash-thumb" src="${sanitizeImageUrl(url)}" alt="">` : ''}</td>
+                            <td class="panel-prompt">
+                                <strong>${escapeHtml(ref.name)}</strong>
+                                ${ref.tags.length > 0 ? `<div class="panel-muted">${ref.tags.map(escapeHtml).join(', ')}</div>` : ''}
+                                <div class="panel-muted">${count > 0 ? `Used by ${count} image(s)` : 'Not used yet'}</div>
+                                ${images.length > 0 ? `
+                                    <div class="library-thumbs">
+                                        ${images.map(image => `
+                                            <button type="button" data-library-action="open-image" data-image-id="${image.id}" title="${escapeHtml(image.prompt)}">
+                                                <img src="${getThumbnailUrl(image)}" alt="">
+                                            </button>
+                                        `).join('')}
+                                    </div>
+                                ` : ''}
+                            </td>
+                            <td class="prompt-library-actions">
+                                <button type="button" class="btn btn-ghost btn-inline" data-library-action="use" data-id="${escapeHtml(ref.id)}">Use</button>
+                                <button type="button" class="btn btn-ghost btn-inline" data-library-action="rename" data-id="${escapeHtml(ref.id)}">Rename</button>
+                                <button type="button" class="btn btn-ghost btn-inline" data-library-action="tags" data-id="${escapeHtml(ref.id)}">Tags</button>
+                                <button type="button" class="btn btn-ghost btn-inline" data-library-action="remove" data-id="${escapeHtml(ref.id)}">Remove</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `}
+        <div class="panel-actions">
+            <button type="button" class="btn btn-ghost" data-library-action="upload">Add Files</button>
+            <button type="button" class="btn btn-ghost" data-library-action="add-slots">Add Current Slots</button>
+        </div>
+    `;
+}
+
+// How many gallery images were made with a reference, and the newest few of them
+async function getReferenceUsage(id) {
+    if (!referenceUsage.has(id)) {
+        const { count, images } = await ImagenDB.getImagesByIndexKey('referenceIds', id, LIBRARY_USAGE_PREVIEW_COUNT);
+        images.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        referenceUsage.set(id, { count, images });
+    }
+    return referenceUsage.get(id);
+}
+
+// Drops the bytes of references taken out of the library, unless something else still uses them
+async function releaseReferenceBlobs(ids) {
+    const inUse = new Set(getInUseBlobIds());
+    await ImagenDB.deleteUnusedBlobs(ids.filter(id => !inUse.has(id)));
+}
+
+async function handleReferenceLibraryAction(e) {
+    const button = e.target.closest('[data-library-action]');
+    if (!button) return;
+
+    // Gallery image IDs are numbers; the dataset turns every ID into a string
+    const ref = state.referenceLibrary.find(other => String(other.id) === button.dataset.id);
+    const set = state.referenceSets.find(other => other.id === button.dataset.id);
+    try {
+        switch (button.dataset.libraryAction) {
+            case 'use':
+                if (!ref) return;
+                state.references.push({ id: ref.id, url: await getLibraryThumbnailUrl(ref), ...await getReferenceSizes(ref.id) });
+                renderReferenceSlots();
+                saveReferenceSelection();
+                showToast(`Added ${ref.name} to the reference slots`, 'success');
+                return;
+            case 'rename': {
+                if (!ref) return;
+                const name = prompt('Reference name', ref.name)?.trim();
+                if (!name) return;
+                ref.name = name;
+                await ImagenDB.saveLibraryReference(ref);
+                state.referenceLibrary.sort((a, b) => a.name.localeCompare(b.name));
+                break;
+            }
+            case 'tags': {
+                if (!ref) return;
+                const text = prompt('Tags, separated by commas', ref.tags.join(', '));
+                if (text === null) return;
+                ref.tags = [...new Set(text.split(',').map(normalizeTag).filter(Boolean))];
+                await ImagenDB.saveLibraryReference(ref);
+                break;
+            }
+            case 'remove':
+                if (!ref || !confirm(`Remove ${ref.name} from the library? Images made with it keep their copy.`)) return;
+                state.referenceLibrary = state.referenceLibrary.filter(other => other !== ref);
+                await ImagenDB.deleteLibraryReference(ref.id);
+                referenceUsage.delete(ref.id);
+                await releaseReferenceBlobs([ref.id]);
+                break;
+            case 'upload':
+                elements.referenceLibraryInput.click();
+                return;
+            case 'add-slots':
+                if (state.references.length === 0) {
+                    showToast('Add references to the slots first', 'warning');
+                    return;
+                }
+                await addSlotsToReferenceLibrary('Reference');
+                break;
+            case 'save-set':
+                await saveReferenceSet();
+                break;
+            case 'load-set':
+                if (!set) return;
+                await restoreReferences(set.referenceIds);
+                elements.referenceLibraryModal.classList.remove('active');
+                showToast(`Loaded ${set.name}`, 'success');
+                return;
+            case 'delete-set':
+                if (!set || !confirm(`Delete the set "${set.name}"? Its references stay in the library.`)) return;
+                state.referenceSets = state.referenceSets.filter(other => other !== set);
+                await ImagenDB.deleteReferenceSet(set.id);
+                await releaseReferenceBlobs(set.referenceIds);
+                break;
+            case 'open-image': {
+                const id = Number(button.dataset.imageId);
+                const image = state.images.find(img => img.id === id) || await ImagenDB.getImage(id);
+                if (!image) return;
+                elements.referenceLibraryModal.classList.remove('active');
+                openModal(image);
+                return;
+            }
+        }
+    } catch (error) {
+        console.error('Reference library update failed:', error);
+        showToast('Could not update the reference library', 'error');
+    }
+    renderReferenceLibrary();
+}
+
+async function saveReferenceSet() {
+    if (state.references.length === 0) {
+        showToast('Add references to the slots first', 'warning');
+        return;
+    }
+    const name = prompt('Name for this reference set')?.trim();
+    if (!name) return;
+
+    // Everything in a set is also in the library, where it can be named and tagged
+    await addSlotsToReferenceLibrary(name);
+    const set = {
+        id: `refset-${Date.now()}`,
+        name,
+        referenceIds: state.references.map(ref => ref.id),
+        createdAt: new Date().toISOString()
+    };
+    await ImagenDB.saveReferenceSet(set);
+    state.referenceSets = [...state.referenceSets, set].sort((a, b) => a.name.localeCompare(b.name));
+    showToast(`Saved ${name}`, 'success');
+}
+
+// ===== Projects =====
+function getActiveProject() {
+    return state.projects.find(project => project.id === state.activeProjectId) || null;
+}
+
+function getGenerationSettings() {
+    return {
+        selectedModel: state.selectedModel,
+        imageSize: state.imageSize,
+        imageQuality: state.imageQuality,
+        aspectRatio: state.aspectRatio,
+        imageCount: state.imageCount
+    };
+}
+
+// Settings outside a project live in localStorage, the same keys the state is initialised from
+function getGlobalGenerationSettings() {
+    return {
+        selectedModel: localStorage.getItem('imagen_model') || 'google/gemini-2.5-flash-image',
+        imageSize: localStorage.getItem('imagen_size') || '1024x1024',
+        imageQuality: localStorage.getItem('imagen_quality') || '1K',
+        aspectRatio: localStorage.getItem('imagen_aspect_ratio') || '1:1',
+        imageCount: parseInt(localStorage.getItem('imagen_count')) || 1
+    };
+}
+
+// Settings changes belong to the active project, or to localStorage when no project is open
+function persistSetting(key, value) {
+    const project = getActiveProject();
+    if (!project) {
+        localStorage.setItem(key, value);
+        return;
+    }
+    project.settings = getGenerationSettings();
+    ImagenDB.saveProject(project).catch(e => console.warn('Could not save project settings:', e));
+}
+
+function getSavedReferenceIds() {
+    const project = getActiveProject();
+    return project ? project.referenceIds : JSON.parse(localStorage.getItem('imagen_reference_ids') || '[]');
+}
+
+// Keeps the reference slots across reloads: pinned to the active project, or saved globally
+function saveReferenceSelection() {
+    const ids = state.references.map(ref => ref.id);
+    const project = getActiveProject();
+    if (!project) {
+        localStorage.setItem('imagen_reference_ids', JSON.stringify(ids));
+        return;
+    }
+    project.referenceIds = ids;
+    ImagenDB.saveProject(project).catch(e => console.warn('Could not save project references:', e));
+}
+
+function syncGenerationControls() {
+    renderModelOptions();
+    updateGeminiOptionsVisibility();
+
+    document.querySelectorAll('.btn-toggle[data-quality]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.quality === state.imageQuality);
+    });
+    document.querySelectorAll('.btn-aspect').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.ratio === state.aspectRatio);
+    });
+    if (elements.imageCount) {
+        elements.imageCount.value = state.imageCount;
+    }
+    updateCostEstimate();
+}
+
+function renderProjectSelect() {
+    elements.projectSelect.innerHTML = '<option value="">All Images</option>' + state.projects
+        .map(project => `<option value="${escapeHtml(project.id)}">${escapeHtml(project.name)}</option>`)
+        .join('');
+    elements.projectSelect.value = state.activeProjectId || '';
+    elements.renameProject.disabled = !state.activeProjectId;
+    elements.deleteProject.disabled = !state.activeProjectId;
+}
+
+async function switchProject(projectId) {
+    state.activeProjectId = projectId;
+    if (projectId) {
+        localStorage.setItem('imagen_active_project', projectId);
+    } else {
+        localStorage.removeItem('imagen_active_project');
+    }
+
+    const project = getActiveProject();
+    Object.assign(state, project?.settings || getGlobalGenerationSettings());
+    if (!MODEL_CONFIGS[state.selectedModel]) {
+        state.selectedModel = Object.keys(MODEL_CONFIGS)[0];
+    }
+    syncGenerationControls();
+    renderProjectSelect();
+    await restoreReferences(getSavedReferenceIds());
+
+    if (await resetGalleryQuery(state.galleryFilter)) {
+        renderGallery();
+        renderFilterStatus();
+    }
+}
+
+async function createProject() {
+    const name = prompt('Project name')?.trim();
+    if (!name) return;
+
+    // New projects start from the current settings with no pinned references
+    const project = {
+        id: `project-${Date.now()}`,
+        name: name,
+        createdAt: new Date().toISOString(),
+        settings: getGenerationSettings(),
+        referenceIds: []
+    };
+    try {
+        await ImagenDB.saveProject(project);
+    } catch (error) {
+        console.error('Failed to create project:', error);
+        showToast('Could not create project', 'error');
+        return;
+    }
+    state.projects = [...state.projects, project].sort((a, b) => a.name.localeCompare(b.name));
+    await switchProject(project.id);
+    showToast(`Project "${name}" created`, 'success');
+}
+
+async function renameProject() {
+    const project = getActiveProject();
+    if (!project) return;
+    const name = prompt('Rename project', project.name)?.trim();
+    if (!name || name === project.name) return;
+
+    project.name = name;
+    try {
+        await ImagenDB.saveProject(project);
+    } catch (error) {
+        console.error('Failed to rename project:', error);
+        showToast('Could not rename project', 'error');
+        return;
+    }
+    state.projects.sort((a, b) => a.name.localeCompare(b.name));
+    renderProjectSelect();
+}
+
+async function deleteProject() {
+    const project = getActiveProject();
+    if (!project) return;
+    if (!confirm(`Delete project "${project.name}"? Its images stay in All Images.`)) return;
+
+    let imageIds = [];
+    try {
+        imageIds = await ImagenDB.deleteProject(project.id);
+    } catch (error) {
+        console.error('Failed to delete project:', error);
+        showToast('Could not delete project', 'error');
+        return;
+    }
+    state.projects = state.projects.filter(p => p.id !== project.id);
+    await switchProject(null);
+    showToast(`Project "${project.name}" deleted`, 'success', {
+        label: 'Undo',
+        onClick: () => restoreProject(project, imageIds)
+    });
+}
+
+async function restoreProject(project, imageIds) {
+    try {
+        await ImagenDB.restoreProject(project, imageIds);
+    } catch (error) {
+        console.error('Failed to restore project:', error);
+        showToast('Could not restore project', 'error');
+        return;
+    }
+    state.projects = [...state.projects, project].sort((a, b) => a.name.localeCompare(b.name));
+    await switchProject(project.id);
+    showToast(`Project "${project.name}" restored`, 'success');
+}
+
+/**
+ * Adds an image to another project. Copying saves a new image in that project that reuses
+ * the original's bytes, so either can be edited or deleted on its own; moving takes the
+ * image itself out of the project being viewed.
+ */
+async function addImageToProject(image, projectId, { move = false } = {}) {
+    const target = state.projects.find(project => project.id === projectId);
+    const targetName = target ? target.name : 'project';
+    if (!move) {
+        await copyImageToProject(image, projectId, targetName);
+        return;
+    }
+
+    // From All Images, a move replaces every project the image was in
+    let projectIds = state.activeProjectId ? (image.projectIds || []).filter(id => id !== state.activeProjectId) : [];
+    if (!projectIds.includes(projectId)) {
+        projectIds = [...projectIds, projectId];
+    }
+    await updateImageCuration(image, { projectIds });
+    showToast(`Moved to ${targetName}`, 'success');
+
+    // A moved image has left the project view it was in, so its modal goes too
+    if (state.activeProjectId && !projectIds.includes(state.activeProjectId)) {
+        closeModal();
+    }
+}
+
+async function copyImageToProject(image, projectId, targetName) {
+    if (image.unsaved) {
+        showToast('This image was never saved, so it can\'t be copied. Download it instead.', 'error');
+        return;
+    }
+    const copy = {
+        ...image,
+        id: Date.now() + Math.random(),
+        projectIds: [projectId],
+        // The copy starts outside the original's comparison and edit session
+        compareId: null,
+        sessionId: null,
+        createdAt: new Date().toISOString()
+    };
+    // An image kept as a URL has no stored bytes to share
+    if (!image.url) {
+        copy.blobId = image.blobId ?? image.id;
+    }
+    try {
+        await ImagenDB.saveImage(copy);
+    } catch (error) {
+        console.error('Failed to copy image:', error);
+        showToast('Could not copy the image', 'error');
+        return;
+    }
+    if (imageMatchesFilter(copy)) {
+        state.images.unshift(copy);
+        state.galleryFilterIds?.add(copy.id);
+        prependImageCard(copy, 0);
+        renderFilterStatus();
+    }
+    showToast(`Copied to ${targetName}`, 'success');
+}
+
+// ===== Image Storage =====
+const THUMBNAIL_MAX_SIZE = 512; // Longest edge of gallery thumbnails
+const THUMBNAIL_QUALITY = 0.8;
+const blobUrls = new Map(); // Object URLs by key, created once and reused
+
+function getBlobUrl(key, blob) {
+    if (!blobUrls.has(key)) {
+        blobUrls.set(key, URL.createObjectURL(blob));
+    }
+    return blobUrls.get(key);
+}
+
+function revokeBlobUrls(id) {
+    [`thumb-${id}`, `full-${id}`].forEach(key => {
+        if (blobUrls.has(key)) {
+            URL.revokeObjectURL(blobUrls.get(key));
+            blobUrls.delete(key);
+        }
+    });
+}
+
+// Small preview for the gallery grid; records without one fall back to their stored URL
+function getThumbnailUrl(image) {
+    if (image.thumbnail) {
+        return getBlobUrl(`thumb-${image.id}`, image.thumbnail);
+    }
+    return image.url ? sanitizeImageUrl(image.url) : '';
+}
+
+async function getImageBlob(image) {
+    if (image.url) {
+        return urlToBlob(image.url);
+    }
+    const record = await ImagenDB.getBlob(image.blobId ?? image.id);
+    return record ? record.blob : null;
+}
+
+// Full-resolution URL, loaded from the blob store on demand
+async function getImageUrl(image) {
+    if (image.url) {
+        return sanitizeImageUrl(image.url);
+    }
+    const key = `full-${image.id}`;
+    if (blobUrls.has(key)) {
+        return blobUrls.get(key);
+    }
+    const blob = await getImageBlob(image);
+    return blob ? getBlobUrl(key, blob) : '';
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const mimeType = header.match(/^data:([^;,]+)/)?.[1] || 'image/png';
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
+async function urlToBlob(url) {
+    if (url.startsWith('data:')) {
+        return dataUrlToBlob(url);
+    }
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not download image: ${response.status}`);
+    }
+    return response.blob();
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+async function hashBlob(blob) {
+    // SubtleCrypto only exists in secure contexts (https or localhost)
+    if (!window.crypto?.subtle) return null;
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function createThumbnail(blob) {
+    try {
+        const bitmap = await createImageBitmap(blob);
+        const { width, height } = bitmap;
+        const scale = Math.min(1, THUMBNAIL_MAX_SIZE / Math.max(width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        // Browsers without WebP encoding fall back to PNG
+        const thumbnail = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', THUMBNAIL_QUALITY));
+        return { thumbnail, width, height };
+    } catch (error) {
+        console.warn('Could not create thumbnail:', error);
+        return { thumbnail: null, width: null, height: null };
+    }
+}
+
+/**
+ * Turns image bytes into a blob-store record plus the metadata fields that
+ * describe it, so the gallery never has to touch the full image.
+ */
+async function prepareImageBlob(id, blob) {
+    const [hash, { thumbnail, width, height }] = await Promise.all([hashBlob(blob), createThumbnail(blob)]);
+    return {
+        blobRecord: { id, blob, hash, createdAt: new Date().toISOString() },
+        fields: { mimeType: blob.type, hash, thumbnail, width, height }
+    };
+}
+
+// `originalSize` is the upload's size before preprocessing, kept to show what it saved
+async function saveReferenceBlob(blob, hash, originalSize = blob.size) {
+    // Content-addressed, so adding the same file twice reuses one record
+    const id = hash ? `ref-${hash}` : `ref-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    await ImagenDB.saveBlob({ id, blob, hash, originalSize, createdAt: new Date().toISOString() });
+    return id;
+}
+
+// Preprocesses and stores an uploaded file; the slot entry also carries both sizes
+async function storeReferenceFile(file) {
+    let blob = file;
+    try {
+        blob = await preprocessReferenceImage(file);
+    } catch (error) {
+        console.warn('Could not preprocess reference, keeping the original file:', error);
+    }
+    const id = await saveReferenceBlob(blob, await hashBlob(blob), file.size);
+    return { id, url: getBlobUrl(`full-${id}`, blob), size: blob.size, originalSize: file.size };
+}
+
+async function getReferenceSizes(id) {
+    const record = await ImagenDB.getBlob(id).catch(() => null);
+    return record ? { size: record.blob.size, originalSize: record.originalSize || record.blob.size } : {};
+}
+
+// Bytes still needed by the reference slots, queued or failed jobs or pinned references must survive any delete
+function getInUseBlobIds() {
+    return [
+        ...state.references.map(ref => ref.id),
+        ...state.queue.flatMap(entry => entry.job.referenceIds),
+        // A failed region edit keeps its mask until its error card is retried or dismissed
+        ...state.failedEntries.flatMap(entry => [...entry.job.referenceIds, entry.job.maskId].filter(Boolean)),
+        ...state.projects.flatMap(project => project.referenceIds),
+        ...state.referenceLibrary.map(ref => ref.id),
+        ...state.referenceSets.flatMap(set => set.referenceIds),
+        ...JSON.parse(localStorage.getItem('imagen_reference_ids') || '[]')
+    ];
+}
+
+async function getReferencePreviewUrl(id) {
+    // Gallery images already have a thumbnail in memory
+    const image = state.images.find(img => img.id === id);
+    const thumbnailUrl = image ? getThumbnailUrl(image) : '';
+    if (thumbnailUrl) {
+        return thumbnailUrl;
+    }
+    const record = await ImagenDB.getBlob(id);
+    return record ? getBlobUrl(`full-${id}`, record.blob) : null;
+}
+
+// References are sent as data URLs; jobs queued before the blob store may still hold one directly.
+// With `maxDimension`, stored images are scaled down to what the receiving model uses
+async function resolveReferenceUrl(ref, maxDimension = null) {
+    if (typeof ref === 'string' && ref.startsWith('data:')) {
+        return ref;
+    }
+    let record = await ImagenDB.getBlob(ref);
+    // A project copy has no bytes of its own, and one whose bytes couldn't be stored kept the URL the API returned
+    const image = record ? null : state.images.find(img => img.id === ref) || await ImagenDB.getImage(ref).catch(() => null);
+    if (image?.blobId != null) {
+        record = await ImagenDB.getBlob(image.blobId);
+    }
+    if (record) {
+        return blobToDataUrl(maxDimension ? await getSizedReferenceBlob(ref, record.blob, maxDimension) : record.blob);
+    }
+    return image?.url || null;
+}
+
+/**
+ * One-time upgrade of records saved before the blob store existed:
+ * moves each data URL into a Blob, adds a thumbnail, and replaces copied
+ * reference data with the ID of the image (or reference blob) it came from.
+ */
+async function migrateLegacyImages() {
+    // Scanning every record is what paging avoids, so only do it until it has succeeded once
+    if (localStorage.getItem('imagen_blob_storage')) return;
+
+    const legacy = (await ImagenDB.getAllImages()).filter(image =>
+        typeof image.url === 'string' && image.url.startsWith('data:')
+    );
+    if (legacy.length === 0) {
+        localStorage.setItem('imagen_blob_storage', '1');
+        return;
+    }
+
+    showToast(`Upgrading storage for ${legacy.length} image(s)...`, 'info');
+
+    // Pass 1: move image bytes out and remember each image by content hash
+    const idByHash = new Map();
+    const fieldsById = new Map();
+    for (const image of legacy) {
+        try {
+            const { blobRecord, fields } = await prepareImageBlob(image.id, dataUrlToBlob(image.url));
+            await ImagenDB.saveBlob(blobRecord);
+            if (fields.hash) idByHash.set(fields.hash, image.id);
+            fieldsById.set(image.id, fields);
+        } catch (error) {
+            console.error('Could not migrate image:', image.id, error);
+        }
+    }
+
+    // Pass 2: point references at the gallery image they were copied from, or store them once
+    for (const image of legacy) {
+        const fields = fieldsById.get(image.id);
+        if (!fields) continue;
+
+        const referenceIds = [];
+        for (const ref of image.references || []) {
+            try {
+                const refBlob = dataUrlToBlob(ref);
+                const hash = await hashBlob(refBlob);
+                referenceIds.push(idByHash.get(hash) ?? await saveReferenceBlob(refBlob, hash));
+            } catch (error) {
+                console.warn('Could not migrate reference for image:', image.id, error);
+            }
+        }
+
+        const { url, references, ...rest } = image;
+        await ImagenDB.saveImage({ ...rest, ...fields, referenceIds });
+    }
+
+    localStorage.setItem('imagen_blob_storage', '1');
+    showToast('Storage upgrade complete', 'success');
+}
+
+// ===== File Metadata =====
+// Downloaded files carry their generation settings (PNG text chunks, JPEG EXIF and
+// XMP, WebP XMP) so a file dropped back into the app can restore them.
+const METADATA_SOFTWARE = 'Imagen';
+const XMP_NAMESPACE = 'urn:imagen:metadata:1.0';
+const RDF_NAMESPACE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const XMP_BASIC_NAMESPACE = 'http://ns.adobe.com/xap/1.0/';
+const XMP_FIELDS = ['model', 'modelName', 'quality', 'size', 'aspectRatio', 'promptTemplate'];
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+const JPEG_EXIF_HEADER = 'Exif\0\0';
+const JPEG_XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const JPEG_SEGMENT_MAX = 0xffff - 2; // The length field counts its own two bytes
+
+function getEmbeddedMetadata(image) {
+    return {
+        prompt: image.prompt || '',
+        model: image.model || '',
+        modelName: image.modelName || '',
+        quality: image.quality || '',
+        size: image.size || '',
+        aspectRatio: image.aspectRatio || '',
+        promptTemplate: image.promptTemplate || '',
+        createdAt: image.createdAt || new Date().toISOString()
+    };
+}
+
+function utf8Bytes(text) {
+    return new TextEncoder().encode(text);
+}
+
+// tEXt chunks and EXIF ASCII fields are Latin-1; anything outside it becomes '?'
+function latin1Bytes(text) {
+    return Uint8Array.from(String(text), char => (char.charCodeAt(0) < 256 ? char.charCodeAt(0) : 63));
+}
+
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+function bytesStartWith(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+function detectImageFormat(bytes) {
+    if (bytesStartWith(bytes, 0, '\x89PNG\r\n\x1a\n')) return 'png';
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'jpeg';
+    if (bytesStartWith(bytes, 0, 'RIFF') && bytesStartWith(bytes, 8, 'WEBP')) return 'webp';
+    return null;
+}
+
+function escapeXml(text) {
+    return String(text)
+        // Control characters aren't allowed anywhere in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+function buildXmpPacket(meta) {
+    const fields = XMP_FIELDS
+        .filter(key => meta[key])
+        .map(key => `\n   imagen:${key}="${escapeXml(meta[key])}"`)
+        .join('');
+    return `<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="${RDF_NAMESPACE}">
+  <rdf:Description rdf:about=""
+   xmlns:dc="http://purl.org/dc/elements/1.1/"
+   xmlns:xmp="${XMP_BASIC_NAMESPACE}"
+   xmlns:imagen="${XMP_NAMESPACE}"
+   xmp:CreatorTool="${METADATA_SOFTWARE}"
+   xmp:CreateDate="${escapeXml(meta.createdAt)}"${fields}>
+   <dc:description>
+    <rdf:Alt>
+     <rdf:li xml:lang="x-default">${escapeXml(meta.prompt)}</rdf:li>
+    </rdf:Alt>
+   </dc:description>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+// Returns the settings from one of our XMP packets, or null for XMP written by other tools
+function parseXmpPacket(xml) {
+    const start = xml.indexOf('<x:xmpmeta');
+    const end = xml.indexOf('</x:xmpmeta>');
+    if (start === -1 || end === -1) return null;
+
+    const doc = new DOMParser().parseFromString(xml.slice(start, end + '</x:xmpmeta>'.length), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) return null;
+    const description = doc.getElementsByTagNameNS(RDF_NAMESPACE, 'Description')[0];
+    if (!description?.hasAttributeNS(XMP_NAMESPACE, 'model')) return null;
+
+    const meta = {
+        prompt: description.getElementsByTagNameNS(RDF_NAMESPACE, 'li')[0]?.textContent || '',
+        createdAt: description.getAttributeNS(XMP_BASIC_NAMESPACE, 'CreateDate') || ''
+    };
+    XMP_FIELDS.forEach(key => {
+        meta[key] = description.getAttributeNS(XMP_NAMESPACE, key) || '';
+    });
+    return meta;
+}
+
+// --- PNG: tEXt/iTXt chunks go right after IHDR ---
+function createPngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(latin1Bytes(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+function createPngTextChunk(keyword, text) {
+    return createPngChunk('tEXt', concatBytes([latin1Bytes(keyword), [0], latin1Bytes(text)]));
+}
+
+function createPngItxtChunk(keyword, text) {
+    // Keyword, then: no compression, empty language tag, empty translated keyword
+    return createPngChunk('iTXt', concatBytes([latin1Bytes(keyword), [0, 0, 0, 0, 0], utf8Bytes(text)]));
+}
+
+// Walks the chunks after the signature as { type, start, end, data }
+function readPngChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let pos = 8;
+    while (pos + 12 <= bytes.length) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        const end = pos + 12 + length;
+        chunks.push({ type, start: pos, end, data: bytes.subarray(pos + 8, pos + 8 + length) });
+        pos = end;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+function getPngTextKeyword(chunk) {
+    const nul = chunk.data.indexOf(0);
+    return nul === -1 ? '' : String.fromCharCode(...chunk.data.subarray(0, nul));
+}
+
+function embedPngMetadata(bytes, meta) {
+    const chunks = readPngChunks(bytes);
+    if (chunks[0]?.type !== 'IHDR') {
+        throw new Error('PNG has no IHDR chunk');
+    }
+
+    const ours = [
+        createPngTextChunk('Software', METADATA_SOFTWARE),
+        createPngTextChunk('Creation Time', meta.createdAt),
+        createPngTextChunk('Source', meta.modelName || meta.model),
+        createPngItxtChunk('Description', meta.prompt),
+        createPngItxtChunk(PNG_XMP_KEYWORD, buildXmpPacket(meta))
+    ];
+    const replaced = new Set(['Software', 'Creation Time', 'Source', 'Description', PNG_XMP_KEYWORD]);
+    const kept = chunks
+        .filter(chunk => !(['tEXt', 'iTXt'].includes(chunk.type) && replaced.has(getPngTextKeyword(chunk))))
+        .map(chunk => bytes.subarray(chunk.start, chunk.end));
+
+    return concatBytes([bytes.subarray(0, 8), kept[0], ...ours, ...kept.slice(1)]);
+}
+
+function readPngXmp(bytes) {
+    const chunk = readPngChunks(bytes).find(c => c.type === 'iTXt' && getPngTextKeyword(c) === PNG_XMP_KEYWORD);
+    if (!chunk) return null;
+    let pos = PNG_XMP_KEYWORD.length + 1;
+    if (chunk.data[pos] !== 0) return null; // Compressed text isn't something we write
+    pos += 2;
+    pos = chunk.data.indexOf(0, pos) + 1; // Language tag
+    pos = chunk.data.indexOf(0, pos) + 1; // Translated keyword
+    return new TextDecoder().decode(chunk.data.subarray(pos));
+}
+
+// --- JPEG: EXIF and XMP APP1 segments go after the JFIF header ---
+function createJpegSegment(marker, payload) {
+    if (payload.length > JPEG_SEGMENT_MAX) return null;
+    const length = payload.length + 2;
+    return concatBytes([[0xff, marker, length >> 8, length & 0xff], payload]);
+}
+
+function formatExifDate(iso) {
+    const date = new Date(iso);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// A little-endian TIFF block with one IFD: ImageDescription, Software and DateTime
+function buildExifTiff(meta) {
+    const entries = [
+        [0x010e, latin1Bytes(`${meta.prompt}\0`)],
+        [0x0131, latin1Bytes(`${METADATA_SOFTWARE}\0`)],
+        [0x0132, latin1Bytes(`${formatExifDate(meta.createdAt)}\0`)]
+    ];
+    const ifdSize = 2 + entries.length * 12 + 4;
+    const valuesSize = entries.reduce((total, [, value]) => total + (value.length > 4 ? value.length + (value.length % 2) : 0), 0);
+    const tiff = new Uint8Array(8 + ifdSize + valuesSize);
+    const view = new DataView(tiff.buffer);
+
+    tiff.set([0x49, 0x49, 0x2a, 0x00]); // "II", 42
+    view.setUint32(4, 8, true);
+    view.setUint16(8, entries.length, true);
+
+    let valueOffset = 8 + ifdSize;
+    entries.forEach(([tag, value], i) => {
+        const entry = 10 + i * 12;
+        view.setUint16(entry, tag, true);
+        view.setUint16(entry + 2, 2, true); // ASCII
+        view.setUint32(entry + 4, value.length, true);
+        if (value.length <= 4) {
+            tiff.set(value, entry + 8);
+        } else {
+            view.setUint32(entry + 8, valueOffset, true);
+            tiff.set(value, valueOffset);
+            valueOffset += value.length + (value.length % 2);
+        }
+    });
+    return tiff;
+}
+
+// Lists the segments between SOI and start-of-scan as { marker, start, end }
+function readJpegSegments(bytes) {
+    const segments = [];
+    let pos = 2;
+    while (pos + 4 <= bytes.length && bytes[pos] === 0xff) {
+        const marker = bytes[pos + 1];
+        if (marker === 0xff) {
+            pos++; // Fill byte
+            continue;
+        }
+        if (marker === 0xda) break;
+        const end = pos + 2 + ((bytes[pos + 2] << 8) | bytes[pos + 3]);
+        segments.push({ marker, start: pos, end });
+        pos = end;
+    }
+    return { segments, scanStart: pos };
+}
+
+function isJpegMetadataSegment(bytes, segment, header) {
+    return segment.marker === 0xe1 && bytesStartWith(bytes, segment.start + 4, header);
+}
+
+function embedJpegMetadata(bytes, meta) {
+    const { segments, scanStart } = readJpegSegments(bytes);
+    const kept = segments.filter(segment =>
+        !isJpegMetadataSegment(bytes, segment, JPEG_EXIF_HEADER) && !isJpegMetadataSegment(bytes, segment, JPEG_XMP_HEADER)
+    );
+    const ours = [
+        createJpegSegment(0xe1, concatBytes([latin1Bytes(JPEG_EXIF_HEADER), buildExifTiff(meta)])),
+        createJpegSegment(0xe1, concatBytes([latin1Bytes(JPEG_XMP_HEADER), utf8Bytes(buildXmpPacket(meta))]))
+    ].filter(Boolean);
+
+    // JFIF requires its APP0 segment to come first
+    const insertAt = kept[0]?.marker === 0xe0 ? 1 : 0;
+    const parts = kept.map(segment => bytes.subarray(segment.start, segment.end));
+    parts.splice(insertAt, 0, ...ours);
+    return concatBytes([bytes.subarray(0, 2), ...parts, bytes.subarray(scanStart)]);
+}
+
+function readJpegXmp(bytes) {
+    const segment = readJpegSegments(bytes).segments.find(s => isJpegMetadataSegment(bytes, s, JPEG_XMP_HEADER));
+    if (!segment) return null;
+    return new TextDecoder().decode(bytes.subarray(segment.start + 4 + JPEG_XMP_HEADER.length, segment.end));
+}
+
+// --- WebP: an "XMP " chunk, flagged in the extended (VP8X) header ---
+function readWebpChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let pos = 12;
+    while (pos + 8 <= bytes.length) {
+        const size = view.getUint32(pos + 4, true);
+        const type = String.fromCharCode(...bytes.subarray(pos, pos + 4));
+        chunks.push({ type, data: bytes.subarray(pos + 8, pos + 8 + size) });
+        pos += 8 + size + (size % 2);
+    }
+    return chunks;
+}
+
+function createWebpChunk(type, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length % 2));
+    chunk.set(latin1Bytes(type));
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+}
+
+// Simple (lossy VP8 or lossless VP8L) files need a VP8X header before they can hold metadata
+function createWebpExtendedHeader(chunks) {
+    const image = chunks.find(chunk => chunk.type === 'VP8 ' || chunk.type === 'VP8L');
+    if (!image) {
+        throw new Error('WebP has no image data');
+    }
+
+    let width;
+    let height;
+    let alpha = false;
+    if (image.type === 'VP8 ') {
+        width = (image.data[6] | (image.data[7] << 8)) & 0x3fff;
+        height = (image.data[8] | (image.data[9] << 8)) & 0x3fff;
+    } else {
+        const bits = (image.data[1] | (image.data[2] << 8) | (image.data[3] << 16) | (image.data[4] << 24)) >>> 0;
+        width = (bits & 0x3fff) + 1;
+        height = ((bits >>> 14) & 0x3fff) + 1;
+        alpha = ((bits >>> 28) & 1) === 1;
+    }
+
+    const data = new Uint8Array(10);
+    data[0] = alpha ? 0x10 : 0;
+    [width - 1, height - 1].forEach((value, i) => {
+        data[4 + i * 3] = value & 0xff;
+        data[5 + i * 3] = (value >> 8) & 0xff;
+        data[6 + i * 3] = (value >> 16) & 0xff;
+    });
+    return { type: 'VP8X', data };
+}
+
+function embedWebpMetadata(bytes, meta) {
+    const chunks = readWebpChunks(bytes).filter(chunk => chunk.type !== 'XMP ');
+    const headerIndex = chunks.findIndex(chunk => chunk.type === 'VP8X');
+    if (headerIndex === -1) {
+        chunks.unshift(createWebpExtendedHeader(chunks));
+    } else {
+        chunks[headerIndex] = { type: 'VP8X', data: Uint8Array.from(chunks[headerIndex].data) };
+    }
+    chunks.find(chunk => chunk.type === 'VP8X').data[0] |= 0x04; // XMP present
+    chunks.push({ type: 'XMP ', data: utf8Bytes(buildXmpPacket(meta)) });
+
+    const body = concatBytes(chunks.map(chunk => createWebpChunk(chunk.type, chunk.data)));
+    const header = new Uint8Array(12);
+    header.set(latin1Bytes('RIFF'));
+    new DataView(header.buffer).setUint32(4, body.length + 4, true);
+    header.set(latin1Bytes('WEBP'), 8);
+    return concatBytes([header, body]);
+}
+
+function readWebpXmp(bytes) {
+    const chunk = readWebpChunks(bytes).find(c => c.type === 'XMP ');
+    return chunk ? new TextDecoder().decode(chunk.data) : null;
+}
+
+// Returns a copy of `blob` with the image's settings written in; other formats (or damaged files) pass through
+async function embedImageMetadata(blob, image) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const meta = getEmbeddedMetadata(image);
+    try {
+        switch (detectImageFormat(bytes)) {
+            case 'png': return new Blob([embedPngMetadata(bytes, meta)], { type: blob.type });
+            case 'jpeg': return new Blob([embedJpegMetadata(bytes, meta)], { type: blob.type });
+            case 'webp': return new Blob([embedWebpMetadata(bytes, meta)], { type: blob.type });
+            default: return blob;
+        }
+    } catch (error) {
+        console.warn('Could not embed metadata, downloading the original:', error);
+        return blob;
+    }
+}
+
+// Settings embedded by a previous download, or null if the file wasn't made here
+async function readImageMetadata(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const readers = { png: readPngXmp, jpeg: readJpegXmp, webp: readWebpXmp };
+    const format = detectImageFormat(bytes);
+    const xmp = format ? readers[format](bytes) : null;
+    return xmp ? parseXmpPacket(xmp) : null;
+}
+
+// Offered after a drop or paste, alongside adding the file as a reference
+async function offerSettingsFromFile(file) {
+    let meta = null;
+    try {
+        meta = await readImageMetadata(file);
+    } catch (error) {
+        console.warn('Could not read image metadata:', error);
+    }
+    if (!meta) return;
+
+    showToast(`${file.name || 'This image'} was made with Imagen`, 'info', {
+        label: 'Restore settings from this file',
+        onClick: () => restoreSettingsFromMetadata(meta)
+    });
+}
+
+function restoreSettingsFromMetadata(meta) {
+    setPromptText(meta.prompt);
+
+    const modelAvailable = Boolean(MODEL_CONFIGS[meta.model]);
+    if (modelAvailable) {
+        state.selectedModel = meta.model;
+        persistSetting('imagen_model', state.selectedModel);
+    }
+    const qualityButton = [...document.querySelectorAll('.btn-toggle[data-quality]')].find(btn => btn.dataset.quality === meta.quality);
+    if (qualityButton) {
+        state.imageQuality = qualityButton.dataset.quality;
+        state.imageSize = qualityButton.dataset.size;
+        persistSetting('imagen_size', state.imageSize);
+        persistSetting('imagen_quality', state.imageQuality);
+    }
+    if ([...document.querySelectorAll('.btn-aspect')].some(btn => btn.dataset.ratio === meta.aspectRatio)) {
+        state.aspectRatio = meta.aspectRatio;
+        persistSetting('imagen_aspect_ratio', state.aspectRatio);
+    }
+    syncGenerationControls();
+
+    if (modelAvailable) {
+        showToast('Settings restored. Click Generate to recreate.', 'success');
+    } else {
+        showToast(`Settings restored, but ${meta.modelName || meta.model} isn't available so the current model is kept`, 'warning');
+    }
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+// ===== Prompt Library =====
+const MAX_PROMPT_HISTORY = 500; // Oldest unstarred prompts are dropped past this
+const SNIPPET_MODES = {
+    insert: 'Insert on click',
+    append: 'Append to every prompt'
+};
+
+async function loadPromptLibrary() {
+    try {
+        state.promptHistory = await ImagenDB.getAllPrompts();
+        state.snippets = await ImagenDB.getAllSnippets();
+    } catch (error) {
+        console.warn('Failed to load prompt library:', error);
+    }
+}
+
+// Moves a prompt to the top of the history, keeping its star and use count
+async function recordPromptUse(text) {
+    const existing = state.promptHistory.find(entry => entry.text === text);
+    const entry = {
+        text,
+        starred: existing?.starred || 0,
+        useCount: (existing?.useCount || 0) + 1,
+        lastUsedAt: new Date().toISOString()
+    };
+    state.promptHistory = [entry, ...state.promptHistory.filter(other => other !== existing)];
+    state.promptRecallIndex = -1;
+
+    const dropped = state.promptHistory.filter(other => !other.starred).slice(MAX_PROMPT_HISTORY);
+    state.promptHistory = state.promptHistory.filter(other => !dropped.includes(other));
+    try {
+        await ImagenDB.savePrompt(entry);
+        if (dropped.length > 0) await ImagenDB.deletePrompts(dropped.map(other => other.text));
+    } catch (error) {
+        console.warn('Could not save prompt history:', error);
+    }
+}
+
+// Texts of every snippet set to append, captured on each job when it's queued
+function getAppendedSnippets() {
+    return state.snippets.filter(snippet => snippet.mode === 'append').map(snippet => snippet.text);
+}
+
+// The prompt as sent: what was typed plus the snippets its job was queued with. Images
+// and session turns keep the two apart so reusing a prompt doesn't append snippets twice
+function getRequestPrompt(job) {
+    return [job.prompt, ...(job.promptSnippets || [])].filter(Boolean).join(' ');
+}
+
+function setPromptText(text) {
+    elements.promptInput.value = text;
+    elements.charCount.textContent = `${text.length} chars`;
+    localStorage.setItem('imagen_prompt_draft', text);
+    updateCostEstimate();
+}
+
+/**
+ * Up and Down walk through the prompt history like a shell, but only when the
+ * caret is on the first or last line so multi-line prompts can still be edited.
+ * Returns true when the key was used.
+ */
+function handlePromptRecall(e) {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return false;
+    if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return false;
+
+    const { value, selectionStart, selectionEnd } = elements.promptInput;
+    if (selectionStart !== selectionEnd) return false;
+    const onFirstLine = !value.slice(0, selectionStart).includes('\n');
+    const onLastLine = !value.slice(selectionEnd).includes('\n');
+
+    if (e.key === 'ArrowUp' && onFirstLine && state.promptRecallIndex < state.promptHistory.length - 1) {
+        // Keep what was being typed so stepping back down returns to it
+        if (state.promptRecallIndex === -1) state.promptDraft = value;
+        state.promptRecallIndex++;
+    } else if (e.key === 'ArrowDown' && onLastLine && state.promptRecallIndex > -1) {
+        state.promptRecallIndex--;
+    } else {
+        return false;
+    }
+
+    const text = state.promptRecallIndex === -1
+        ? state.promptDraft
+        : state.promptHistory[state.promptRecallIndex].text;
+    setPromptText(text);
+    elements.promptInput.setSelectionRange(text.length, text.length);
+    return true;
+}
+
+function openPromptLibrary() {
+    elements.promptLibrarySearch.value = '';
+    renderPromptLibrary();
+    elements.promptLibraryModal.classList.add('active');
+}
+
+function renderPromptLibrary() {
+    const query = elements.promptLibrarySearch.value.trim().toLowerCase();
+    const matches = state.promptHistory.filter(entry => entry.text.toLowerCase().includes(query));
+    const starred = matches.filter(entry => entry.starred);
+    const recent = matches.filter(entry => !entry.starred);
+
+    const renderPrompts = (entries, empty) => entries.length === 0
+        ? `<p class="panel-empty">${empty}</p>`
+        : `
+            <table class="panel-table">
+                <tbody>
+                    ${entries.map(entry => `
+                        <tr>
+                            <td>
+                                <button type="button" class="prompt-star${entry.starred ? ' active' : ''}" data-prompt-action="star" data-text="${escapeHtml(entry.text)}" title="${entry.starred ? 'Unstar' : 'Star'}">${entry.starred ? '★' : '☆'}</button>
+                            </td>
+                            <td class="panel-prompt">
+                                ${escapeHtml(entry.text)}
+                                <div class="panel-muted">Used ${entry.useCount} time(s), last ${escapeHtml(new Date(entry.lastUsedAt).toLocaleString())}</div>
+                            </td>
+                            <td class="prompt-library-actions">
+                                <button type="button" class="btn btn-ghost btn-inline" data-prompt-action="use" data-text="${escapeHtml(entry.text)}">Use</button>
+                                <button type="button" class="btn btn-ghost btn-inline" data-prompt-action="delete" data-text="${escapeHtml(entry.text)}">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+    elements.promptLibraryContent.innerHTML = `
+        <h3 class="panel-section-title">Snippets</h3>
+        ${state.snippets.length === 0 ? '<p class="panel-empty">No snippets yet. Save style suffixes, things to avoid or brand guidelines to reuse them.</p>' : `
+            <table class="panel-table">
+                <tbody>
+                    ${state.snippets.map(snippet => `
+                        <tr>
+                            <td class="panel-prompt">
+                                <strong>${escapeHtml(snippet.name)}</strong>
+                                <div class="panel-muted">${escapeHtml(snippet.text)}</div>
+                            </td>
+                            <td>
+                                <select class="cleanup-select" data-snippet-mode="${escapeHtml(snippet.id)}">
+                                    ${Object.entries(SNIPPET_MODES).map(([mode, label]) => `<option value="${mode}"${snippet.mode === mode ? ' selected' : ''}>${label}</option>`).join('')}
+                                </select>
+                            </td>
+                            <td class="prompt-library-actions">
+                                <button type="button" class="btn btn-ghost btn-inline" data-prompt-action="insert-snippet" data-id="${escapeHtml(snippet.id)}">Insert</button>
+                                <button type="button" class="btn btn-ghost btn-inline" data-prompt-action="delete-snippet" data-id="${escapeHtml(snippet.id)}">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `}
+        <div class="panel-actions">
+            <button type="button" class="btn btn-ghost" data-prompt-action="new-snippet">New Snippet</button>
+        </div>
+
+        <h3 class="panel-section-title">Saved Prompts</h3>
+        ${renderPrompts(starred, query ? 'No saved prompts match.' : 'Star a prompt to keep it here.')}
+        <div class="panel-actions">
+            <button type="button" class="btn btn-ghost" data-prompt-action="save-current">Save Current Prompt</button>
+        </div>
+
+        <h3 class="panel-section-title">History</h3>
+        ${renderPrompts(recent, query ? 'No prompts in the history match.' : 'Prompts you generate with show up here.')}
+        ${recent.length > 0 && !query ? `
+            <div class="panel-actions">
+                <button type="button" class="btn btn-ghost" data-prompt-action="clear-history">Clear History</button>
+            </div>
+        ` : ''}
+    `;
+}
+
+async function handlePromptLibraryAction(e) {
+    const button = e.target.closest('[data-prompt-action]');
+    if (!button) return;
+
+    const entry = state.promptHistory.find(other => other.text === button.dataset.text);
+    const snippet = state.snippets.find(other => other.id === button.dataset.id);
+    try {
+        switch (button.dataset.promptAction) {
+            case 'use':
+                if (!entry) return;
+                setPromptText(entry.text);
+                elements.promptLibraryModal.classList.remove('active');
+                elements.promptInput.focus();
+                return;
+            case 'star':
+                if (!entry) return;
+                entry.starred = entry.starred ? 0 : 1;
+                await ImagenDB.savePrompt(entry);
+                break;
+            case 'save-current':
+                await saveCurrentPrompt();
+                break;
+            case 'delete':
+                if (!entry) return;
+                state.promptHistory = state.promptHistory.filter(other => other !== entry);
+                await ImagenDB.deletePrompts([entry.text]);
+                break;
+            case 'clear-history': {
+                if (!confirm('Clear the prompt history? Saved prompts are kept.')) return;
+                const cleared = state.promptHistory.filter(other => !other.starred);
+                state.promptHistory = state.promptHistory.filter(other => other.starred);
+                await ImagenDB.deletePrompts(cleared.map(other => other.text));
+                break;
+            }
+            case 'new-snippet':
+                await createSnippet();
+                break;
+            case 'insert-snippet':
+                if (!snippet) return;
+                insertSnippet(snippet);
+                elements.promptLibraryModal.classList.remove('active');
+                return;
+            case 'delete-snippet':
+                if (!snippet || !confirm(`Delete the snippet "${snippet.name}"?`)) return;
+                state.snippets = state.snippets.filter(other => other !== snippet);
+                await ImagenDB.deleteSnippet(snippet.id);
+                updateCostEstimate();
+                break;
+        }
+    } catch (error) {
+        console.error('Prompt library update failed:', error);
+        showToast('Could not update the prompt library', 'error');
+    }
+    state.promptRecallIndex = -1;
+    renderPromptLibrary();
+}
+
+async function saveCurrentPrompt() {
+    const text = elements.promptInput.value.trim();
+    if (!text) {
+        showToast('Type a prompt to save first', 'warning');
+        return;
+    }
+    const existing = state.promptHistory.find(entry => entry.text === text);
+    const entry = existing || { text, useCount: 0, lastUsedAt: new Date().toISOString() };
+    entry.starred = 1;
+    if (!existing) state.promptHistory.unshift(entry);
+    await ImagenDB.savePrompt(entry);
+    showToast('Prompt saved', 'success');
+}
+
+async function createSnippet() {
+    const name = prompt('Snippet name')?.trim();
+    if (!name) return;
+    const text = prompt(`Text for "${name}"`)?.trim();
+    if (!text) return;
+
+    const snippet = {
+        id: `snippet-${Date.now()}`,
+        name,
+        text,
+        mode: 'insert',
+        createdAt: new Date().toISOString()
+    };
+    await ImagenDB.saveSnippet(snippet);
+    state.snippets = [...state.snippets, snippet].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function handleSnippetModeChange(e) {
+    const snippet = state.snippets.find(other => other.id === e.target.dataset.snippetMode);
+    if (!snippet) return;
+    snippet.mode = e.target.value;
+    try {
+        await ImagenDB.saveSnippet(snippet);
+    } catch (error) {
+        console.error('Could not save snippet:', error);
+        showToast('Could not save snippet', 'error');
+    }
+    updateCostEstimate();
+}
+
+// Puts the snippet at the caret, with a space on either side where needed
+function insertSnippet(snippet) {
+    const input = elements.promptInput;
+    const before = input.value.slice(0, input.selectionStart);
+    const after = input.value.slice(input.selectionEnd);
+    const text = `${before && !/\s$/.test(before) ? ' ' : ''}${snippet.text}${after && !/^\s/.test(after) ? ' ' : ''}`;
+    setPromptText(before + text + after);
+    input.focus();
+    input.setSelectionRange(before.length + text.length, before.length + text.length);
+}
+
+// ===== Prompt Templates =====
+const MAX_TEMPLATE_REQUESTS = 200; // Keeps a typo in a template from queueing thousands of requests
+const TEMPLATE_SIZE_ERROR = `This template would send more than ${MAX_TEMPLATE_REQUESTS} requests, narrow it down`;
+const TEMPLATE_PREVIEW_COUNT = 5; // Expanded prompts listed in the confirmation
+const TEMPLATE_SWEEP_PATTERN = /(?:^|\s)--(ar|quality)\s+(\S+)/g;
+const WILDCARD_PATTERN = /__([A-Za-z0-9-]+(?:_[A-Za-z0-9-]+)*)__/g;
+const WILDCARD_NAME_PATTERN = /^[A-Za-z0-9-]+(?:_[A-Za-z0-9-]+)*$/;
+const WILDCARD_RESERVED_PATTERN = /[{}|]/; // Would be read as choice syntax once a value is expanded
+
+/**
+ * Expands a prompt template into every combination it describes: `{a|b}` tries each
+ * option, `__name__` each line of a saved wildcard list, and `--ar 1:1|16:9` or
+ * `--quality 1K|2K` sweep the setting. A plain prompt expands to itself.
+ * Returns { isTemplate, variants: [{ prompt, aspectRatio, quality }] } where a null
+ * setting means the current one. Throws on unknown wildcards or setting values, or when
+ * the variants times `requestsPerVariant` (models × images each) exceed the request cap.
+ */
+function expandPromptTemplate(template, requestsPerVariant = 1) {
+    const sweeps = { ar: [null], quality: [null] };
+    let text = template.replace(TEMPLATE_SWEEP_PATTERN, (match, option, values) => {
+        sweeps[option] = values.split('|').filter(Boolean);
+        return '';
+    }).trim();
+
+    const ratios = [...document.querySelectorAll('.btn-aspect')].map(btn => btn.dataset.ratio);
+    const qualities = [...document.querySelectorAll('.btn-toggle[data-quality]')].map(btn => btn.dataset.quality);
+    sweeps.ar.filter(Boolean).forEach(ratio => {
+        if (!ratios.includes(ratio)) throw new Error(`Unknown aspect ratio "${ratio}", use one of ${ratios.join(', ')}`);
+    });
+    sweeps.quality.filter(Boolean).forEach(quality => {
+        if (!qualities.includes(quality)) throw new Error(`Unknown quality "${quality}", use one of ${qualities.join(', ')}`);
+    });
+
+    // Each wildcard becomes a choice of its lines
+    text = text.replace(WILDCARD_PATTERN, (match, name) => {
+        const values = state.wildcards[name];
+        if (!values?.length) throw new Error(`Unknown wildcard ${match}`);
+        return values.length === 1 ? values[0] : `{${values.join('|')}}`;
+    });
+
+    const prompts = expandTemplateChoices(text);
+    if (prompts.length * sweeps.ar.length * sweeps.quality.length * requestsPerVariant > MAX_TEMPLATE_REQUESTS) {
+        throw new Error(TEMPLATE_SIZE_ERROR);
+    }
+
+    const variants = prompts.flatMap(prompt => sweeps.ar.flatMap(aspectRatio =>
+        sweeps.quality.map(quality => ({ prompt: prompt.trim(), aspectRatio, quality }))
+    ));
+    return { isTemplate: variants.length > 1 || text !== template, variants };
+}
+
+/**
+ * Expands `{a|b}` choices left to right; an option may hold choices of its own.
+ * Braces without a `|` of their own (`{brand}`, JSON) are ordinary text and stay as typed.
+ */
+function expandTemplateChoices(text, from = 0) {
+    const start = text.indexOf('{', from);
+    if (start === -1) return [text];
+
+    let depth = 0;
+    let end = -1;
+    const separators = [];
+    for (let i = start; i < text.length && end === -1; i++) {
+        if (text[i] === '{') {
+            depth++;
+        } else if (text[i] === '}' && --depth === 0) {
+            end = i;
+        } else if (text[i] === '|' && depth === 1) {
+            separators.push(i);
+        }
+    }
+    // Unclosed braces and braces without options are text; choices after or inside them still expand
+    if (end === -1 || separators.length === 0) return expandTemplateChoices(text, start + 1);
+
+    const bounds = [start, ...separators, end];
+    const options = bounds.slice(1).flatMap((pos, i) => expandTemplateChoices(text.slice(bounds[i] + 1, pos)));
+    const tails = expandTemplateChoices(text.slice(end + 1));
+    // Checked before building the list so a runaway template can't exhaust memory
+    if (options.length * tails.length > MAX_TEMPLATE_REQUESTS) throw new Error(TEMPLATE_SIZE_ERROR);
+
+    const head = text.slice(0, start);
+    return options.flatMap(option => tails.map(tail => head + option + tail));
+}
+
+// One job per template variant and model; `overrides` is passed to every job
+function createTemplateJobs(template, models, overrides = {}) {
+    const { isTemplate, variants } = expandPromptTemplate(template, models.length * state.imageCount);
+    return models.flatMap(model => variants.map(variant => createGenerationJob(variant.prompt, {
+        ...overrides,
+        model,
+        aspectRatio: variant.aspectRatio,
+        quality: variant.quality,
+        promptTemplate: isTemplate ? template : null
+    })));
+}
+
+// Shows what a template will queue and asks before going ahead; plain prompts pass straight through
+function confirmTemplateJobs(jobs, cost) {
+    if (!jobs.some(job => job.promptTemplate)) return true;
+
+    const images = jobs.length * state.imageCount;
+    const lines = [...new Set(jobs.map(job => `${job.prompt} (${job.aspectRatio}, ${job.quality})`))];
+    const preview = lines.slice(0, TEMPLATE_PREVIEW_COUNT).map(line => `• ${line}`).join('\n');
+    const more = lines.length > TEMPLATE_PREVIEW_COUNT ? `\n…and ${lines.length - TEMPLATE_PREVIEW_COUNT} more` : '';
+    const total = cost === null ? 'cost unknown' : `about ${formatCost(cost)}`;
+    return confirm(`This template expands to ${jobs.length} job(s), ${images} image(s) in total, ${total}.\n\n${preview}${more}\n\nQueue them?`);
+}
+
+function saveWildcards() {
+    localStorage.setItem('imagen_wildcards', JSON.stringify(state.wildcards));
+    updateCostEstimate();
+}
+
+function openWildcards() {
+    renderWildcards();
+    elements.wildcardModal.classList.add('active');
+}
+
+function renderWildcards() {
+    const names = Object.keys(state.wildcards).sort();
+    elements.wildcardContent.innerHTML = `
+        <p class="panel-muted">
+            Write <code>__name__</code> in a prompt to try every line of a list. <code>{red|blue}</code> tries each option,
+            and <code>--ar 1:1|16:9</code> or <code>--quality 1K|2K</code> sweeps the setting.
+        </p>
+        ${names.length === 0 ? '<p class="panel-empty">No wildcard lists yet.</p>' : names.map(name => `
+            <div class="wildcard-item">
+                <div class="wildcard-header">
+                    <code>__${escapeHtml(name)}__</code>
+                    <span class="panel-muted">${state.wildcards[name].length} line(s)</span>
+                    <button type="button" class="btn btn-ghost btn-inline" data-wildcard-action="delete" data-name="${escapeHtml(name)}">Delete</button>
+                </div>
+                <textarea class="text-input wildcard-values" rows="4" data-name="${escapeHtml(name)}" placeholder="One value per line">${escapeHtml(state.wildcards[name].join('\n'))}</textarea>
+            </div>
+        `).join('')}
+        <div class="panel-actions">
+            <button type="button" class="btn btn-ghost" data-wildcard-action="new">New Wildcard</button>
+        </div>
+    `;
+}
+
+function handleWildcardAction(e) {
+    const button = e.target.closest('[data-wildcard-action]');
+    if (!button) return;
+
+    if (button.dataset.wildcardAction === 'new') {
+        const name = prompt('Wildcard name (letters, numbers, hyphens and single underscores)')?.trim();
+        if (!name) return;
+        if (!WILDCARD_NAME_PATTERN.test(name)) {
+            showToast('Use letters, numbers, hyphens and single underscores only', 'warning');
+            return;
+        }
+        if (state.wildcards[name]) {
+            showToast(`__${name}__ already exists`, 'warning');
+            return;
+        }
+        state.wildcards[name] = [];
+    } else {
+        const name = button.dataset.name;
+        if (!confirm(`Delete the wildcard __${name}__?`)) return;
+        delete state.wildcards[name];
+    }
+    saveWildcards();
+    renderWildcards();
+}
+
+function handleWildcardEdit(e) {
+    if (!e.target.classList.contains('wildcard-values')) return;
+    const values = e.target.value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+    // Left as typed so it can be fixed; the saved list stays as it was
+    const invalid = values.find(value => WILDCARD_RESERVED_PATTERN.test(value));
+    if (invalid) {
+        showToast(`Wildcard values can't contain {, } or |: "${invalid}" was not saved`, 'error');
+        return;
+    }
+    state.wildcards[e.target.dataset.name] = values;
+    saveWildcards();
+    renderWildcards();
+}
+
+// ===== Image Generation =====
+async function generateImages() {
+    const prompt = elements.promptInput.value.trim();
+
+    if (!prompt) {
+        showToast('Please enter a prompt', 'warning');
+        return;
+    }
+
+    if (!state.apiKey) {
+        showToast('Please enter your OpenRouter API key', 'error');
+        return;
+    }
+
+    // An edit session talks to its own model, so it takes over from compare mode
+    const session = state.activeSession;
+    if (state.compareMode && !session) {
+        await generateComparison(prompt);
+        return;
+    }
+    if (session && !MODEL_CONFIGS[session.model]) {
+        showToast(`${session.modelName || session.model} is no longer available, end the session to continue`, 'error');
+        return;
+    }
+
+    // Snapshot every parameter now so later setting changes can't leak into this batch
+    let jobs;
+    try {
+        const promptSnippets = getAppendedSnippets();
+        jobs = session
+            ? createTemplateJobs(prompt, [session.model], { sessionId: session.id, parentImageId: session.activeImageId, promptSnippets })
+            : createTemplateJobs(prompt, [state.selectedModel], { promptSnippets });
+    } catch (error) {
+        showToast(error.message, 'warning');
+        return;
+    }
+
+    const total = estimateJobsCost(jobs);
+    if (!confirmTemplateJobs(jobs, total) || !confirmWithinBudget(total)) {
+        return;
+    }
+
+    // Only prompts that were actually sent go into the history
+    recordPromptUse(prompt);
+    if (jobs.length === 1) {
+        await enqueueBatch(jobs[0], state.imageCount);
+        return;
+    }
+    for (const job of jobs) {
+        await enqueueBatch(job, state.imageCount, { notify: false });
+    }
+    showToast(`Queued ${jobs.length * state.imageCount} image(s) from ${jobs.length} prompt variation(s)`, 'success');
+}
+
+async function enqueueBatch(job, imageCount, { notify = true } = {}) {
+    // Create a batch to track this generation request
+    const batchId = Date.now() + Math.random();
+    const batch = createBatch(batchId, job, imageCount);
+    state.pendingBatches.push(batch);
+
+    // One persisted queue entry per image so each can be retried or resumed on its own
+    const entries = [];
+    for (let i = 0; i < imageCount; i++) {
+        entries.push({
+            id: Date.now() + i + Math.random(),
+            batchId: batchId,
+            job: job,
+            status: 'queued',
+            attempts: 0,
+            nextAttemptAt: 0,
+            error: null,
+            createdAt: new Date().toISOString()
+        });
+    }
+    state.queue.push(...entries);
+    
+    // Add loading placeholders without full re-render
+    addLoadingPlaceholders(entries);
+    
+    if (notify) {
+        showToast(`Queued ${imageCount} image(s) for generation`, 'success');
+    }
+
+    await Promise.all(entries.map(entry => persistQueueEntry(entry)));
+    processQueue();
+}
+
+/**
+ * Builds an immutable generation job from the current settings.
+ * The job is the single source of truth for both the API request and the saved
+ * image metadata, so switching model or references mid-batch can't make them diverge.
+ */
+function createGenerationJob(prompt, overrides = {}) {
+    const model = overrides.model || state.selectedModel;
+    const modelConfig = MODEL_CONFIGS[model];
+    const quality = overrides.quality || state.imageQuality;
+    const size = overrides.quality
+        ? document.querySelector(`.btn-toggle[data-quality="${quality}"]`)?.dataset.size || state.imageSize
+        : state.imageSize;
+
+    // Only record references the model will actually receive
+    const requestedIds = overrides.referenceIds || state.references.map(ref => ref.id);
+    const referenceIds = modelConfig.supportsImageInput ? requestedIds : [];
+
+    return Object.freeze({
+        prompt: prompt,
+        model: model,
+        modelName: modelConfig.name,
+        modelConfig: Object.freeze({ ...modelConfig }),
+        size: size,
+        quality: quality,
+        aspectRatio: overrides.aspectRatio || state.aspectRatio,
+        referenceIds: Object.freeze([...referenceIds]),
+        promptSnippets: Object.freeze([...(overrides.promptSnippets || [])]),
+        projectId: state.activeProjectId,
+        compareId: overrides.compareId || null,
+        promptTemplate: overrides.promptTemplate || null,
+        sessionId: overrides.sessionId || null,
+        parentImageId: overrides.parentImageId || null,
+        maskId: overrides.maskId || null
+    });
+}
+
+// Re-freezes a job loaded back from IndexedDB (structured clone drops the freeze)
+function restoreGenerationJob(job) {
+    const { references, ...rest } = job;
+    return Object.freeze({
+        ...rest,
+        modelConfig: Object.freeze({ ...job.modelConfig }),
+        // Jobs queued before the blob store carry data URLs in `references`
+        referenceIds: Object.freeze([...(job.referenceIds || references || [])]),
+        promptSnippets: Object.freeze([...(job.promptSnippets || [])])
+    });
+}
+
+async function generateSingleImage(job, signal) {
+    const { modelConfig } = job;
+
+    // Build message content
+    const content = [];
+
+    // Add reference images (already filtered to what the model supports), sized for the model
+    const maxDimension = modelConfig.maxReferenceDimension || DEFAULT_MAX_REFERENCE_DIMENSION;
+    const referenceUrls = await Promise.all(job.referenceIds.map(ref => resolveReferenceUrl(ref, maxDimension)));
+    const missingCount = referenceUrls.filter(url => !url).length;
+    if (missingCount > 0) {
+        // Sending the prompt without them would quietly produce something else
+        throw new Error(`${missingCount} reference image(s) are no longer stored`);
+    }
+    referenceUrls.forEach((url) => {
+        content.push({
+            type: 'image_url',
+            image_url: {
+                url: url,
+                detail: 'high'
+            }
+        });
+    });
+
+    // Add text prompt
+    content.push({
+        type: 'text',
+        text: job.maskId ? buildInpaintPrompt(getRequestPrompt(job)) : getRequestPrompt(job)
+    });
+
+    // Edit sessions replay the thread so far, earlier images included, before the new turn
+    const history = job.sessionId ? await buildSessionMessages(job) : [];
+
+    // Build request body
+    const requestBody = {
+        model: job.model,
+        messages: [
+            ...history,
+            {
+                role: 'user',
+                content: content.length === 1 ? getRequestPrompt(job) : content
+            }
+        ],
+        modalities: modelConfig.modalities,
+        // Ask OpenRouter to include token counts and cost in the response
+        usage: { include: true }
+    };
+
+    // Add Gemini-specific options
+    if (modelConfig.supportsImageSize && job.model.includes('gemini')) {
+        requestBody.image_config = {
+            image_size: job.quality.toLowerCase(),
+            aspect_ratio: job.aspectRatio
+        };
+    }
+
+    // Add aspect ratio for other models
+    if (modelConfig.supportsAspectRatio && !job.model.includes('gemini')) {
+        requestBody.aspect_ratio = job.aspectRatio;
+    }
+
+    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${state.apiKey}`,
+            'Content-Type': 'application/json',
+            'HTTP-Referer': window.location.origin,
+            'X-Title': 'Imagen Internal Tool'
+        },
+        body: JSON.stringify(requestBody),
+        signal: signal
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(errorData.error?.message || `API error: ${response.status}`);
+        // Let the queue decide whether this is worth retrying
+        error.status = response.status;
+        // Moderation errors list their reasons, provider errors carry the raw upstream message
+        error.details = errorData.error?.metadata?.reasons?.join(', ') || errorData.error?.metadata?.raw || null;
+        error.retryAfter = parseInt(response.headers.get('Retry-After')) || null;
+        throw error;
+    }
+
+    const data = await response.json();
+
+    // Extract image from response
+    // OpenRouter returns images in different formats depending on the model
+    const message = data.choices?.[0]?.message;
+
+    if (!message) {
+        const error = new Error('No response from model');
+        error.status = response.status;
+        throw error;
+    }
+
+    // Log full response for debugging
+    console.log('API Response:', JSON.stringify(data, null, 2));
+
+    // Every image sent is billed, including ones replayed from an edit session
+    const inputImageCount = requestBody.messages.reduce((count, msg) => count +
+        (Array.isArray(msg.content) ? msg.content.filter(part => part.type === 'image_url').length : 0) +
+        (msg.images?.length || 0), 0);
+    const usage = parseUsage(data, job.modelConfig, inputImageCount);
+
+    const url = extractImageUrl(message);
+    if (url) {
+        // Any text alongside the image is kept for the next turn of an edit session
+        return { url, usage, generationId: data.id || null, text: extractMessageText(message) || null };
+    }
+
+    // No image - keep whatever the model said instead so the error card can show it
+    const choice = data.choices[0];
+    const modelText = [message.refusal, extractMessageText(message)].filter(Boolean).join('\n').trim();
+    const finishReason = choice.native_finish_reason || choice.finish_reason || null;
+    let reason = modelText ? 'Model replied with text instead of an image' : 'No image in response';
+    if (choice.finish_reason === 'content_filter' || message.refusal) {
+        reason = 'Blocked by content policy';
+    }
+
+    const error = new Error(reason);
+    error.status = response.status;
+    error.modelText = modelText || null;
+    error.finishReason = finishReason;
+    // Text-only replies are still billed
+    error.usage = usage;
+    throw error;
+}
+
+function extractImageUrl(message) {
+    // Check for images array in message (OpenRouter SDK format)
+    // According to OpenRouter docs: message.images[].image_url.url
+    if (message.images && message.images.length > 0) {
+        const img = message.images[0];
+        // OpenRouter SDK format: { image_url: { url: "data:image/..." } }
+        if (img.image_url?.url) {
+            return img.image_url.url;
+        }
+        // Alternative formats
+        if (typeof img === 'string') {
+            if (img.startsWith('data:') || img.startsWith('http')) {
+                return img;
+            }
+            return `data:image/png;base64,${img}`;
+        }
+        if (img.url) return img.url;
+        if (img.b64_json) return `data:image/png;base64,${img.b64_json}`;
+    }
+
+    // Check for image in content parts (different models may use this format)
+    if (Array.isArray(message.content)) {
+        for (const part of message.content) {
+            // OpenAI-style image_url part
+            if (part.type === 'image_url' && part.image_url?.url) {
+                return part.image_url.url;
+            }
+            // Gemini-style inlineData part
+            if (part.inlineData?.data) {
+                const mimeType = part.inlineData.mimeType || 'image/png';
+                return `data:${mimeType};base64,${part.inlineData.data}`;
+            }
+            // Generic image part
+            if (part.type === 'image' && part.image) {
+                if (part.image.startsWith('data:')) {
+                    return part.image;
+                }
+                return `data:image/png;base64,${part.image}`;
+            }
+        }
+    }
+
+    // Check if content itself is the image data (some models return this way)
+    if (typeof message.content === 'string' && message.content.startsWith('data:image')) {
+        return message.content;
+    }
+
+    return null;
+}
+
+function parseUsage(data, modelConfig, inputImageCount = 0) {
+    const usage = data.usage;
+    if (!usage) return null;
+
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    let cost = typeof usage.cost === 'number' ? usage.cost : null;
+    let costEstimated = false;
+
+    // Fall back to catalog pricing when the provider doesn't report cost
+    if (cost === null && modelConfig.pricing) {
+        const pricing = modelConfig.pricing;
+        cost = promptTokens * (pricing.prompt || 0) +
+            completionTokens * (pricing.completion || 0) +
+            inputImageCount * (pricing.image || 0) +
+            (pricing.request || 0);
+        costEstimated = true;
+    }
+
+    return {
+        promptTokens,
+        completionTokens,
+        totalTokens: usage.total_tokens || promptTokens + completionTokens,
+        cost,
+        costEstimated
+    };
+}
+
+function extractMessageText(message) {
+    if (typeof message.content === 'string') {
+        return message.content;
+    }
+    if (Array.isArray(message.content)) {
+        return message.content
+            .filter(part => part.type === 'text' && part.text)
+            .map(part => part.text)
+            .join('\n');
+    }
+    return '';
+}
+
+// ===== Generation Queue =====
+function createBatch(batchId, job, count) {
+    return {
+        id: batchId,
+        prompt: job.prompt,
+        model: job.model,
+        modelName: job.modelName,
+        count: count,
+        completed: 0,
+        failed: 0,
+        cancelled: 0,
+        cost: 0
+    };
+}
+
+async function persistQueueEntry(entry) {
+    try {
+        await ImagenDB.saveJob(entry);
+    } catch (e) {
+        console.warn('Could not persist queue entry:', e);
+    }
+}
+
+async function resumeQueue() {
+    let saved = [];
+    try {
+        saved = await ImagenDB.getAllJobs();
+    } catch (e) {
+        console.warn('Could not load generation queue:', e);
+        return;
+    }
+
+    const resumable = [];
+    const failedMasks = [];
+    for (const entry of saved) {
+        if (entry.status === 'failed') {
+            // Failures are reported in the session they happen in
+            await ImagenDB.deleteJob(entry.id).catch(() => {});
+            failedMasks.push(entry.job.maskId);
+            continue;
+        }
+        // Requests that were in flight when the tab closed are lost, so run them again
+        if (entry.status === 'running') {
+            entry.status = 'queued';
+            entry.nextAttemptAt = 0;
+        }
+        entry.job = restoreGenerationJob(entry.job);
+        resumable.push(entry);
+    }
+    // A failed region edit kept its mask for a retry that can no longer happen
+    failedMasks
+        .filter(maskId => !resumable.some(entry => entry.job.referenceIds.includes(maskId)))
+        .forEach(discardInpaintMask);
+
+    if (resumable.length === 0) return;
+
+    // Rebuild batches from their remaining entries
+    resumable.forEach(entry => {
+        let batch = state.pendingBatches.find(b => b.id === entry.batchId);
+        if (!batch) {
+            batch = createBatch(entry.batchId, entry.job, 0);
+            state.pendingBatches.push(batch);
+        }
+        batch.count++;
+    });
+    state.queue.push(...resumable);
+    addLoadingPlaceholders(resumable);
+
+    showToast(`Resuming ${resumable.length} queued image(s)`, 'success');
+    processQueue();
+}
+
+function processQueue() {
+    clearTimeout(state.queueTimer);
+    state.queueTimer = null;
+
+    // Jobs wait until a key is available (saving the key restarts the queue)
+    if (!state.apiKey) return;
+
+    const now = Date.now();
+    while (state.runningJobs < state.maxConcurrency) {
+        const entry = state.queue.find(e =>
+            (e.status === 'queued' || e.status === 'retrying') && e.nextAttemptAt <= now
+        );
+        if (!entry) break;
+        runQueueEntry(entry);
+    }
+
+    // Wake up for the next retry that is still backing off
+    const waiting = state.queue.filter(e => e.status === 'retrying' && e.nextAttemptAt > now);
+    if (waiting.length > 0) {
+        const nextAt = Math.min(...waiting.map(e => e.nextAttemptAt));
+        state.queueTimer = setTimeout(processQueue, nextAt - now);
+    }
+}
+
+async function runQueueEntry(entry) {
+    state.runningJobs++;
+    entry.status = 'running';
+    entry.attempts++;
+    updateJobPlaceholder(entry);
+    persistQueueEntry(entry);
+
+    const controller = new AbortController();
+    state.jobControllers.set(entry.id, controller);
+
+    try {
+        const result = await generateSingleImage(entry.job, controller.signal);
+        recordUsage(entry, result.usage, result.generationId);
+        if (entry.status === 'cancelled') return;
+        await completeQueueEntry(entry, result);
+    } catch (error) {
+        if (error.usage) recordUsage(entry, error.usage, null);
+
+        // Cancelled jobs were already cleaned up by cancelQueueEntry()
+        if (entry.status === 'cancelled') return;
+
+        console.error('Failed to generate image:', error);
+        entry.error = error.message;
+        entry.errorStatus = error.status || null;
+        entry.errorDetails = error.details || null;
+        entry.modelText = error.modelText || null;
+        entry.finishReason = error.finishReason || null;
+
+        if (isRetryableError(error) && entry.attempts <= MAX_RETRIES) {
+            entry.status = 'retrying';
+            entry.nextAttemptAt = Date.now() + getRetryDelay(entry.attempts, error);
+            updateJobPlaceholder(entry);
+            persistQueueEntry(entry);
+        } else {
+            failQueueEntry(entry);
+        }
+    } finally {
+        state.jobControllers.delete(entry.id);
+        state.runningJobs--;
+        processQueue();
+    }
+}
+
+async function completeQueueEntry(entry, result) {
+    const { job } = entry;
+    const batch = state.pendingBatches.find(b => b.id === entry.batchId);
+    const imageData = {
+        id: Date.now() + Math.random(),
+        prompt: job.prompt,
+        promptSnippets: [...job.promptSnippets],
+        promptTemplate: job.promptTemplate || null,
+        model: job.model,
+        modelName: job.modelName,
+        size: job.size,
+        quality: job.quality,
+        aspectRatio: job.aspectRatio,
+        referenceIds: [...job.referenceIds],
+        projectIds: job.projectId ? [job.projectId] : [],
+        compareId: job.compareId || null,
+        sessionId: job.sessionId || null,
+        parentImageId: job.parentImageId || null,
+        parentIds: getImageParentIds(job),
+        maskId: job.maskId || null,
+        favorite: 0,
+        rating: 0,
+        tags: [],
+        generationId: result.generationId,
+        usage: result.usage,
+        cost: result.usage?.cost ?? null,
+        createdAt: new Date().toISOString()
+    };
+
+    // Keep the bytes as a Blob; fall back to the raw URL if it can't be fetched
+    let blobRecord = null;
+    try {
+        const prepared = await prepareImageBlob(imageData.id, await urlToBlob(result.url));
+        blobRecord = prepared.blobRecord;
+        Object.assign(imageData, prepared.fields);
+        getBlobUrl(`full-${imageData.id}`, blobRecord.blob);
+    } catch (e) {
+        console.warn('Could not store image as a blob:', e);
+        imageData.url = result.url;
+    }
+
+    state.queue = state.queue.filter(e => e.id !== entry.id);
+    if (batch) batch.completed++;
+
+    // Swap this job's placeholder for the new image (unless the active search hides it)
+    removeJobPlaceholder(entry.id);
+    if (imageMatchesFilter(imageData)) {
+        state.images.unshift(imageData);
+        state.galleryFilterIds?.add(imageData.id);
+        prependImageCard(imageData, 0);
+        renderFilterStatus();
+    }
+
+    // Save the image before dropping the job so a crash can't lose both
+    try {
+        await ImagenDB.saveImage(imageData, blobRecord);
+    } catch (e) {
+        console.error('Failed to save to IndexedDB:', e);
+        handleImageSaveFailure(imageData, e);
+    }
+    await ImagenDB.deleteJob(entry.id).catch(e => console.warn('Could not remove finished job:', e));
+    if (job.sessionId) {
+        await recordSessionTurn(job, imageData, result.text);
+    }
+
+    finishBatchIfDone(batch);
+    refreshComparison(entry);
+    renderStorageSummary();
+    renderFilterOptions();
+}
+
+function failQueueEntry(entry) {
+    const batch = state.pendingBatches.find(b => b.id === entry.batchId);
+    entry.status = 'failed';
+    if (batch) batch.failed++;
+
+    // The placeholder becomes an error card that stays until retried or dismissed
+    state.queue = state.queue.filter(e => e.id !== entry.id);
+    state.failedEntries.unshift(entry);
+    const placeholder = elements.gallery.querySelector(`.loading-placeholder[data-job-id="${entry.id}"]`);
+    if (placeholder) {
+        placeholder.replaceWith(createErrorCardElement(entry));
+    }
+
+    // Kept as failed until dismissed, so a region edit's mask can still be freed after a reload
+    persistQueueEntry(entry);
+    recordFailure(entry);
+    finishBatchIfDone(batch);
+    refreshComparison(entry);
+}
+
+async function recordFailure(entry) {
+    const { job } = entry;
+    // History keeps what's needed to spot patterns, not the reference image data
+    const failure = {
+        id: entry.id,
+        prompt: job.prompt,
+        model: job.model,
+        modelName: job.modelName,
+        quality: job.quality,
+        aspectRatio: job.aspectRatio,
+        referenceCount: job.referenceIds.length,
+        error: entry.error,
+        status: entry.errorStatus,
+        details: entry.errorDetails,
+        modelText: entry.modelText,
+        finishReason: entry.finishReason,
+        attempts: entry.attempts,
+        createdAt: new Date().toISOString()
+    };
+    try {
+        await ImagenDB.saveFailure(failure);
+    } catch (e) {
+        console.warn('Could not record failure:', e);
+    }
+}
+
+function retryFailedEntry(entry) {
+    // Queued first, so the dismissal sees the retry still using a region edit's mask
+    enqueueBatch(entry.job, 1);
+    dismissFailedEntry(entry);
+}
+
+function dismissFailedEntry(entry) {
+    state.failedEntries = state.failedEntries.filter(e => e.id !== entry.id);
+    removeJobPlaceholder(entry.id);
+    ImagenDB.deleteJob(entry.id).catch(e => console.warn('Could not remove failed job:', e));
+    discardInpaintMask(entry.job.maskId);
+}
+
+function cancelQueueEntry(entry) {
+    if (entry.status === 'failed' || entry.status === 'cancelled') return;
+
+    const batch = state.pendingBatches.find(b => b.id === entry.batchId);
+    entry.status = 'cancelled';
+    if (batch) batch.cancelled++;
+
+    // Abort the request if it's in flight; queued and retrying jobs just never start
+    const controller = state.jobControllers.get(entry.id);
+    if (controller) controller.abort();
+
+    state.queue = state.queue.filter(e => e.id !== entry.id);
+    removeJobPlaceholder(entry.id);
+    ImagenDB.deleteJob(entry.id).catch(e => console.warn('Could not remove cancelled job:', e));
+    discardInpaintMask(entry.job.maskId);
+
+    finishBatchIfDone(batch);
+    refreshComparison(entry);
+    processQueue();
+}
+
+function cancelBatch(batchId) {
+    state.queue
+        .filter(e => e.batchId === batchId)
+        .forEach(entry => cancelQueueEntry(entry));
+}
+
+function finishBatchIfDone(batch) {
+    if (!batch || batch.completed + batch.failed + batch.cancelled < batch.count) return;
+
+    // Several jobs can settle at once; only the first caller finalizes the batch
+    const batchIndex = state.pendingBatches.indexOf(batch);
+    if (batchIndex === -1) return;
+    state.pendingBatches.splice(batchIndex, 1);
+
+    const summary = [`${batch.completed} completed`];
+    if (batch.failed > 0) summary.push(`${batch.failed} failed`);
+    if (batch.cancelled > 0) summary.push(`${batch.cancelled} cancelled`);
+    if (batch.cost > 0) summary.push(formatCost(batch.cost));
+
+    if (batch.completed > 0) {
+        showToast(`Batch finished: ${summary.join(', ')}`, 'success');
+    } else if (batch.failed > 0) {
+        showToast(`Batch failed: ${summary.join(', ')}. See the error cards for details.`, 'error');
+    } else {
+        showToast(`Batch cancelled: ${summary.join(', ')}`, 'warning');
+    }
+}
+
+function recordUsage(entry, usage, generationId) {
+    if (!usage) return;
+
+    const batch = state.pendingBatches.find(b => b.id === entry.batchId);
+    if (batch && usage.cost) batch.cost += usage.cost;
+
+    const record = {
+        id: Date.now() + Math.random(),
+        generationId: generationId,
+        model: entry.job.model,
+        modelName: entry.job.modelName,
+        quality: entry.job.quality,
+        cost: usage.cost,
+        costEstimated: usage.costEstimated,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        totalTokens: usage.totalTokens,
+        createdAt: new Date().toISOString()
+    };
+    state.usageLedger.push(record);
+    tallyLedgerCosts([record]);
+    renderSpendSummary();
+    ImagenDB.saveUsage(record).catch(e => console.warn('Could not record usage:', e));
+}
+
+function isRetryableError(error) {
+    // Rate limits, server errors, and network failures (fetch rejects with a TypeError)
+    if (error.status) {
+        return error.status === 429 || error.status >= 500;
+    }
+    return error instanceof TypeError;
+}
+
+function getRetryDelay(attempt, error) {
+    if (error.retryAfter) {
+        // A huge Retry-After would leave the job waiting for hours, so it gets the usual cap
+        return Math.min(error.retryAfter * 1000, RETRY_MAX_DELAY);
+    }
+    const backoff = Math.min(RETRY_BASE_DELAY * 2 ** (attempt - 1), RETRY_MAX_DELAY);
+    // Jitter so parallel jobs don't retry in lockstep
+    return backoff + Math.random() * 500;
+}
+
+// ===== Gallery =====
+function renderGallery() {
+    const hasPending = state.queue.length > 0 || state.failedEntries.length > 0;
+    const hasImages = state.images.length > 0;
+
+    galleryCardObserver?.disconnect();
+    resetGalleryWindow();
+
+    if (!hasImages && !hasPending) {
+        const [message, hint] = elements.galleryEmpty.querySelectorAll('p');
+        message.textContent = isGalleryFiltered() ? 'No images match your search' : 'No images generated yet';
+        hint.textContent = isGalleryFiltered() ? 'Try fewer words or clear the filters' : 'Write a prompt above and click Generate';
+        elements.galleryEmpty.style.display = 'flex';
+        elements.gallery.innerHTML = '';
+        elements.gallery.append(elements.galleryEmpty, galleryTopSpacer, galleryBottomSpacer);
+        return;
+    }
+
+    elements.gallery.innerHTML = '';
+
+    // Render loading placeholders for queued jobs at the top
+    state.queue.forEach((entry) => {
+        const placeholder = createPlaceholderElement(entry);
+        elements.gallery.appendChild(placeholder);
+    });
+
+    // Failures stay visible until retried or dismissed
+    state.failedEntries.forEach((entry) => {
+        elements.gallery.appendChild(createErrorCardElement(entry));
+    });
+
+    // Render the first page of images; the rest are added as the gallery scrolls
+    elements.gallery.appendChild(galleryTopSpacer);
+    state.images.slice(0, GALLERY_PAGE_SIZE).forEach((image, index) => {
+        elements.gallery.appendChild(createImageCardElement(image, index));
+    });
+    elements.gallery.appendChild(galleryBottomSpacer);
+}
+
+// ===== Gallery Paging =====
+const GALLERY_PAGE_SIZE = 48;
+const GALLERY_PRELOAD_MARGIN = '800px 0px'; // Start loading the next page this far before the end
+const GALLERY_WINDOW_MARGIN = 2000; // Rows of cards further off screen than this many pixels are removed
+
+let gallerySentinelObserver = null;
+let galleryCardObserver = null;
+
+let galleryLoadPromise = null;
+
+function loadMoreImages(options) {
+    if (state.galleryLoading || !state.galleryHasMore) return galleryLoadPromise;
+    galleryLoadPromise = loadNextGalleryPage(options);
+    return galleryLoadPromise;
+}
+
+async function loadNextGalleryPage({ render = true } = {}) {
+    state.galleryLoading = true;
+    const queryId = state.galleryQueryId;
+
+    try {
+        const page = await ImagenDB.getImagesPage(state.galleryCursor, GALLERY_PAGE_SIZE, state.galleryFilterIds);
+        // The search changed while this page was loading
+        if (queryId !== state.galleryQueryId) return;
+        state.galleryHasMore = page.length === GALLERY_PAGE_SIZE;
+
+        // New generations are already at the top of state.images
+        const loadedIds = new Set(state.images.map(img => img.id));
+        const fresh = page.filter(img => !loadedIds.has(img.id));
+        state.images.push(...fresh);
+
+        if (page.length > 0) {
+            const oldest = page[page.length - 1].createdAt;
+            const previousIds = state.galleryCursor?.createdAt === oldest ? state.galleryCursor.ids : [];
+            state.galleryCursor = {
+                createdAt: oldest,
+                ids: [...previousIds, ...page.filter(img => img.createdAt === oldest).map(img => img.id)]
+            };
+        }
+
+        if (render && fresh.length > 0) {
+            elements.galleryEmpty.style.display = 'none';
+            extendGalleryTail();
+        }
+    } catch (error) {
+        console.error('Failed to load images from IndexedDB:', error);
+        state.galleryHasMore = false;
+    } finally {
+        state.galleryLoading = false;
+    }
+    if (queryId !== state.galleryQueryId) return;
+
+    if (state.galleryHasMore) {
+        recheckGallerySentinel();
+    }
+}
+
+function observeGallerySentinel() {
+    gallerySentinelObserver = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            // Show images that are loaded but not rendered before fetching another page
+            if (extendGalleryTail()) {
+                recheckGallerySentinel();
+            } else {
+                loadMoreImages();
+            }
+        }
+    }, { rootMargin: GALLERY_PRELOAD_MARGIN });
+    gallerySentinelObserver.observe(elements.gallerySentinel);
+}
+
+// The observer only fires on changes, so re-check in case the sentinel is still in view
+function recheckGallerySentinel() {
+    if (!gallerySentinelObserver) return;
+    gallerySentinelObserver.unobserve(elements.gallerySentinel);
+    gallerySentinelObserver.observe(elements.gallerySentinel);
+}
+
+// ===== Gallery Window =====
+// Only rows of cards near the screen are in the DOM. Rows scrolled far away are removed and
+// their height kept by a spacer above or below the window, so the scroll position doesn't jump.
+const galleryWindow = {
+    topRows: [], // { count, height } of removed rows above the window, nearest last
+    bottomRows: [] // Same for rows removed below the window
+};
+const galleryTopSpacer = createGallerySpacer();
+const galleryBottomSpacer = createGallerySpacer();
+
+function createGallerySpacer() {
+    const spacer = document.createElement('div');
+    spacer.className = 'gallery-spacer';
+    spacer.style.display = 'none';
+    return spacer;
+}
+
+function resetGalleryWindow() {
+    galleryWindow.topRows = [];
+    galleryWindow.bottomRows = [];
+    setGallerySpacer(galleryTopSpacer, galleryWindow.topRows);
+    setGallerySpacer(galleryBottomSpacer, galleryWindow.bottomRows);
+}
+
+function setGallerySpacer(spacer, rows) {
+    const height = rows.reduce((sum, row) => sum + row.height, 0);
+    spacer.style.display = rows.length > 0 ? '' : 'none';
+    spacer.style.height = `${Math.max(0, height)}px`;
+}
+
+function getGalleryCardObserver() {
+    if (!galleryCardObserver) {
+        galleryCardObserver = new IntersectionObserver(updateGalleryWindow, { rootMargin: `${GALLERY_WINDOW_MARGIN}px 0px` });
+    }
+    // Spacers coming into range bring their rows back
+    galleryCardObserver.observe(galleryTopSpacer);
+    galleryCardObserver.observe(galleryBottomSpacer);
+    return galleryCardObserver;
+}
+
+function getLiveImageCards() {
+    return [...elements.gallery.querySelectorAll('.image-card[data-image-id]')];
+}
+
+function getCardImageIndex(card) {
+    return state.images.findIndex(image => String(image.id) === card.dataset.imageId);
+}
+
+// Leading cards of `cards` that share the first one's row
+function takeCardRow(cards) {
+    const top = cards[0]?.offsetTop;
+    const end = cards.findIndex(card => card.offsetTop !== top);
+    return end === -1 ? cards : cards.slice(0, end);
+}
+
+function updateGalleryWindow() {
+    let changed = true;
+    while (changed) {
+        changed = restoreGalleryTop() || restoreGalleryBottom() || trimGalleryTop() || trimGalleryBottom();
+    }
+}
+
+function trimGalleryTop() {
+    const cards = getLiveImageCards();
+    const row = takeCardRow(cards);
+    // The first card of the next row stays put; the row above it must be out of range
+    const anchor = cards[row.length];
+    if (!anchor || anchor.getBoundingClientRect().top > -GALLERY_WINDOW_MARGIN) return false;
+
+    const before = anchor.offsetTop;
+    row.forEach(card => {
+        galleryCardObserver?.unobserve(card);
+        card.remove();
+    });
+    const removed = { count: row.length, height: 0 };
+    galleryWindow.topRows.push(removed);
+    setGallerySpacer(galleryTopSpacer, galleryWindow.topRows);
+    removed.height = before - anchor.offsetTop;
+    setGallerySpacer(galleryTopSpacer, galleryWindow.topRows);
+    return true;
+}
+
+function restoreGalleryTop() {
+    if (galleryWindow.topRows.length === 0) return false;
+    if (galleryTopSpacer.getBoundingClientRect().bottom < -GALLERY_WINDOW_MARGIN) return false;
+    const anchor = getLiveImageCards()[0];
+    const end = anchor ? getCardImageIndex(anchor) : -1;
+    if (end === -1) return false;
+
+    const before = anchor.offsetTop;
+    const row = galleryWindow.topRows.pop();
+    // The last row also brings back images generated while the top was out of range
+    const start = galleryWindow.topRows.length > 0 ? Math.max(0, end - row.count) : 0;
+    state.images.slice(start, end).forEach(image => anchor.before(createImageCardElement(image)));
+    setGallerySpacer(galleryTopSpacer, galleryWindow.topRows);
+
+    // Keep the rendered cards where they were if the row came back at a different height
+    if (galleryWindow.topRows.length > 0) {
+        galleryWindow.topRows[galleryWindow.topRows.length - 1].height += before - anchor.offsetTop;
+        setGallerySpacer(galleryTopSpacer, galleryWindow.topRows);
+    }
+    return true;
+}
+
+function trimGalleryBottom() {
+    const cards = getLiveImageCards().reverse();
+    const row = takeCardRow(cards);
+    if (row.length === cards.length || row[0].getBoundingClientRect().top < window.innerHeight + GALLERY_WINDOW_MARGIN) {
+        return false;
+    }
+
+    // The spacer must end where the content did: at its own bottom, or the row's if it was empty
+    const bottom = galleryWindow.bottomRows.length > 0
+        ? galleryBottomSpacer.offsetTop + galleryBottomSpacer.offsetHeight
+        : Math.max(...row.map(card => card.offsetTop + card.offsetHeight));
+    row.forEach(card => {
+        galleryCardObserver?.unobserve(card);
+        card.remove();
+    });
+    const removed = { count: row.length, height: 0 };
+    galleryWindow.bottomRows.push(removed);
+    setGallerySpacer(galleryBottomSpacer, galleryWindow.bottomRows);
+    removed.height = bottom - (galleryBottomSpacer.offsetTop + galleryBottomSpacer.offsetHeight);
+    setGallerySpacer(galleryBottomSpacer, galleryWindow.bottomRows);
+    return true;
+}
+
+function restoreGalleryBottom() {
+    if (galleryWindow.bottomRows.length === 0) return false;
+    if (galleryBottomSpacer.getBoundingClientRect().top > window.innerHeight + GALLERY_WINDOW_MARGIN) return false;
+
+    const row = galleryWindow.bottomRows.pop();
+    const last = getLiveImageCards().pop();
+    const start = last ? getCardImageIndex(last) + 1 : 0;
+    state.images.slice(start, start + row.count).forEach(image => galleryBottomSpacer.before(createImageCardElement(image)));
+    setGallerySpacer(galleryBottomSpacer, galleryWindow.bottomRows);
+    return true;
+}
+
+// Renders the next page of loaded images below the window. Returns false when there are none
+// to add yet, either because every loaded image is rendered or rows below are still trimmed.
+function extendGalleryTail() {
+    if (galleryWindow.bottomRows.length > 0) return false;
+    const last = getLiveImageCards().pop();
+    const start = last ? getCardImageIndex(last) + 1 : 0;
+    const images = state.images.slice(start, start + GALLERY_PAGE_SIZE);
+    images.forEach(image => galleryBottomSpacer.before(createImageCardElement(image)));
+    return images.length > 0;
+}
+
+// ===== Gallery Search & Filters =====
+const FILTER_KEYS = ['q', 'model', 'quality', 'ratio', 'tag', 'from', 'to', 'refs', 'fav'];
+const SEARCH_DEBOUNCE = 250;
+
+let searchDebounceTimer = null;
+
+// Lower-cased unique words of a prompt; saved on each image for the promptWords index
+function tokenizePrompt(prompt) {
+    const words = String(prompt || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    return [...new Set(words)];
+}
+
+function readFilterFromHash() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    const filter = {};
+    FILTER_KEYS.forEach(key => {
+        const value = params.get(key);
+        if (value) filter[key] = value;
+    });
+    return filter;
+}
+
+function writeFilterToHash(filter) {
+    const params = new URLSearchParams();
+    FILTER_KEYS.forEach(key => {
+        if (filter[key]) params.set(key, filter[key]);
+    });
+    const hash = params.toString();
+    // replaceState keeps typing out of the back button and doesn't fire hashchange
+    if (hash !== location.hash.slice(1)) {
+        history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+    }
+}
+
+function readFilterControls() {
+    const filter = {};
+    const query = elements.gallerySearch.value.trim();
+    if (query) filter.q = query;
+    elements.galleryFilters.querySelectorAll('[data-filter]').forEach(control => {
+        const value = control.type === 'checkbox' ? (control.checked ? '1' : '') : control.value;
+        if (value) filter[control.dataset.filter] = value;
+    });
+    return filter;
+}
+
+function syncFilterControls() {
+    elements.gallerySearch.value = state.galleryFilter.q || '';
+    elements.galleryFilters.querySelectorAll('[data-filter]').forEach(control => {
+        const value = state.galleryFilter[control.dataset.filter] || '';
+        if (control.type === 'checkbox') {
+            control.checked = value === '1';
+        } else {
+            control.value = value;
+        }
+    });
+}
+
+function isGalleryFiltered() {
+    return Object.keys(state.galleryFilter).length > 0;
+}
+
+// Date inputs are local days; the range ends at the start of the day after `to`
+function getFilterDateRange(filter) {
+    const from = filter.from ? new Date(`${filter.from}T00:00`) : null;
+    const to = filter.to ? new Date(`${filter.to}T00:00`) : null;
+    if (to) to.setDate(to.getDate() + 1);
+    return { from, to };
+}
+
+/**
+ * Resolves a filter (within the active project) to the Set of matching image IDs
+ * by intersecting index lookups, so only keys are read. Returns null when nothing is filtered.
+ */
+async function findFilteredImageIds(filter, projectId = state.activeProjectId) {
+    const lookups = [];
+
+    if (projectId) lookups.push(ImagenDB.getImageIdsByIndex('projectIds', IDBKeyRange.only(projectId)));
+
+    // Every word must prefix-match a prompt word, so partial words still find results
+    tokenizePrompt(filter.q).forEach(word => {
+        lookups.push(ImagenDB.getImageIdsByIndex('promptWords', IDBKeyRange.bound(word, `${word}\uffff`)));
+    });
+    if (filter.model) lookups.push(ImagenDB.getImageIdsByIndex('model', IDBKeyRange.only(filter.model)));
+    if (filter.quality) lookups.push(ImagenDB.getImageIdsByIndex('quality', IDBKeyRange.only(filter.quality)));
+    if (filter.ratio) lookups.push(ImagenDB.getImageIdsByIndex('aspectRatio', IDBKeyRange.only(filter.ratio)));
+    if (filter.tag) lookups.push(ImagenDB.getImageIdsByIndex('tags', IDBKeyRange.only(filter.tag)));
+    if (filter.refs) lookups.push(ImagenDB.getImageIdsByIndex('referenceIds'));
+    if (filter.fav) lookups.push(ImagenDB.getImageIdsByIndex('favorite', IDBKeyRange.only(1)));
+
+    const { from, to } = getFilterDateRange(filter);
+    if (from && to && from >= to) return new Set();
+    if (from || to) {
+        const range = from && to
+            ? IDBKeyRange.bound(from.toISOString(), to.toISOString(), false, true)
+            : from ? IDBKeyRange.lowerBound(from.toISOString()) : IDBKeyRange.upperBound(to.toISOString(), true);
+        lookups.push(ImagenDB.getImageIdsByIndex('createdAt', range));
+    }
+
+    if (lookups.length === 0) return null;
+    const sets = (await Promise.all(lookups)).sort((a, b) => a.size - b.size);
+    return sets.reduce((matches, set) => new Set([...matches].filter(id => set.has(id))));
+}
+
+// Same test as findFilteredImageIds, for a single image that isn't in the database yet
+function imageMatchesFilter(image, filter = state.galleryFilter) {
+    if (state.activeProjectId && !image.projectIds?.includes(state.activeProjectId)) return false;
+    const words = tokenizePrompt(image.prompt);
+    if (!tokenizePrompt(filter.q).every(query => words.some(word => word.startsWith(query)))) return false;
+    if (filter.model && image.model !== filter.model) return false;
+    if (filter.quality && image.quality !== filter.quality) return false;
+    if (filter.ratio && image.aspectRatio !== filter.ratio) return false;
+    if (filter.tag && !image.tags?.includes(filter.tag)) return false;
+    if (filter.refs && !(image.referenceIds?.length > 0)) return false;
+    if (filter.fav && !image.favorite) return false;
+
+    const { from, to } = getFilterDateRange(filter);
+    const createdAt = new Date(image.createdAt);
+    if (from && createdAt < from) return false;
+    if (to && createdAt >= to) return false;
+    return true;
+}
+
+// Points the gallery at a new filter and loads its first page without rendering
+async function resetGalleryQuery(filter) {
+    const queryId = ++state.galleryQueryId;
+    state.galleryFilter = filter;
+
+    let ids = null;
+    try {
+        ids = await findFilteredImageIds(filter);
+    } catch (error) {
+        console.error('Gallery search failed:', error);
+        showToast('Search failed', 'error');
+    }
+    // Let a page load for the previous filter finish before resetting
+    await galleryLoadPromise;
+    if (queryId !== state.galleryQueryId) return false;
+
+    state.galleryFilterIds = ids;
+    // Unsaved images aren't in IndexedDB, so pages never bring them back
+    state.images = state.unsavedImages.filter(image => imageMatchesFilter(image, filter));
+    state.galleryCursor = null;
+    state.galleryHasMore = true;
+    await loadMoreImages({ render: false });
+    return queryId === state.galleryQueryId;
+}
+
+async function applyGalleryFilter(filter) {
+    writeFilterToHash(filter);
+    if (!(await resetGalleryQuery(filter))) return;
+    syncFilterControls();
+    renderGallery();
+    renderFilterStatus();
+}
+
+function renderFilterStatus() {
+    elements.filterStatus.textContent = isGalleryFiltered() && state.galleryFilterIds
+        ? `${state.galleryFilterIds.size} matching image(s)`
+        : '';
+    elements.clearFilters.style.display = isGalleryFiltered() ? '' : 'none';
+}
+
+function fillFilterSelect(select, allLabel, values, getLabel = value => value) {
+    // Keep a bookmarked value selectable even if no stored image has it
+    const current = state.galleryFilter[select.dataset.filter];
+    const options = current && !values.includes(current) ? [...values, current] : values;
+    select.innerHTML = `<option value="">${escapeHtml(allLabel)}</option>` + options
+        .map(value => `<option value="${escapeHtml(value)}">${escapeHtml(getLabel(value))}</option>`)
+        .join('');
+    select.value = current || '';
+}
+
+// Facet options come from the distinct values in the indexes
+async function renderFilterOptions() {
+    try {
+        const [models, qualities, ratios, tags] = await Promise.all([
+            ImagenDB.getIndexValues('model'),
+            ImagenDB.getIndexValues('quality'),
+            ImagenDB.getIndexValues('aspectRatio'),
+            ImagenDB.getIndexValues('tags')
+        ]);
+        fillFilterSelect(elements.filterModel, 'All models', models, model => MODEL_CONFIGS[model]?.name || model);
+        fillFilterSelect(elements.filterQuality, 'Any size', qualities);
+        fillFilterSelect(elements.filterAspectRatio, 'Any ratio', ratios);
+        fillFilterSelect(elements.filterTag, 'Any tag', tags);
+
+        // Tag inputs autocomplete from the tags already in use
+        elements.tagSuggestions.innerHTML = tags.map(tag => `<option value="${escapeHtml(tag)}">`).join('');
+    } catch (error) {
+        console.warn('Could not load filter options:', error);
+    }
+}
+
+// ===== Incremental Gallery Updates =====
+function addLoadingPlaceholders(entries) {
+    // Hide empty state if showing
+    elements.galleryEmpty.style.display = 'none';
+    
+    entries.forEach(entry => {
+        const placeholder = createPlaceholderElement(entry);
+        elements.gallery.insertBefore(placeholder, elements.gallery.firstChild);
+    });
+}
+
+const JOB_STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Generating...',
+    retrying: 'Retrying'
+};
+
+function createPlaceholderElement(entry) {
+    const { job } = entry;
+    const placeholder = document.createElement('div');
+    placeholder.className = 'image-card loading-placeholder';
+    placeholder.dataset.batchId = entry.batchId;
+    placeholder.dataset.jobId = entry.id;
+    const truncatedPrompt = job.prompt.length > 60 ? job.prompt.substring(0, 60) + '...' : job.prompt;
+    placeholder.innerHTML = `
+        <div class="image-card-actions image-card-actions-top">
+            <button class="image-card-btn image-card-cancel-batch" title="Cancel whole batch">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <rect x="5" y="5" width="14" height="14" rx="2" ry="2"></rect>
+                </svg>
+            </button>
+            <button class="image-card-btn image-card-cancel" title="Cancel this image">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>
+        </div>
+        <div class="loading-placeholder-content">
+            <div class="loading-spinner"></div>
+            <span class="loading-placeholder-text"></span>
+        </div>
+        <div class="image-card-overlay" style="opacity: 1;">
+            <p class="image-card-prompt">${escapeHtml(truncatedPrompt)}</p>
+            <div class="image-card-meta">
+                <span class="meta-tag">${escapeHtml(job.modelName)}</span>
+                <span class="meta-tag loading-tag">
+                    <svg class="spin-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                        <line x1="12" y1="2" x2="12" y2="6"></line>
+                        <line x1="12" y1="18" x2="12" y2="22"></line>
+                        <line x1="4.93" y1="4.93" x2="7.76" y2="7.76"></line>
+                        <line x1="16.24" y1="16.24" x2="19.07" y2="19.07"></line>
+                        <line x1="2" y1="12" x2="6" y2="12"></line>
+                        <line x1="18" y1="12" x2="22" y2="12"></line>
+                        <line x1="4.93" y1="19.07" x2="7.76" y2="16.24"></line>
+                        <line x1="16.24" y1="7.76" x2="19.07" y2="4.93"></line>
+                    </svg>
+                    <span class="job-status-label"></span>
+                </span>
+            </div>
+        </div>
+    `;
+    renderJobStatus(placeholder, entry);
+
+    placeholder.querySelector('.image-card-cancel').addEventListener('click', (e) => {
+        e.stopPropagation();
+        cancelQueueEntry(entry);
+    });
+
+    placeholder.querySelector('.image-card-cancel-batch').addEventListener('click', (e) => {
+        e.stopPropagation();
+        cancelBatch(entry.batchId);
+    });
+
+    return placeholder;
+}
+
+function updateJobPlaceholder(entry) {
+    const placeholder = elements.gallery.querySelector(`.loading-placeholder[data-job-id="${entry.id}"]`);
+    if (placeholder) {
+        renderJobStatus(placeholder, entry);
+    }
+}
+
+function renderJobStatus(placeholder, entry) {
+    let label = JOB_STATUS_LABELS[entry.status] || 'Pending';
+    if (entry.status === 'retrying') {
+        label = `Retrying (${entry.attempts}/${MAX_RETRIES})`;
+    }
+
+    placeholder.classList.remove('job-queued', 'job-running', 'job-retrying');
+    placeholder.classList.add(`job-${entry.status}`);
+    placeholder.querySelector('.loading-placeholder-text').textContent = label;
+    placeholder.querySelector('.job-status-label').textContent = label;
+}
+
+function createErrorCardElement(entry) {
+    const { job } = entry;
+    const card = document.createElement('div');
+    card.className = 'image-card error-card';
+    card.dataset.jobId = entry.id;
+    const truncatedPrompt = job.prompt.length > 60 ? job.prompt.substring(0, 60) + '...' : job.prompt;
+
+    const statusParts = [];
+    if (entry.errorStatus) statusParts.push(`HTTP ${entry.errorStatus}`);
+    if (entry.finishReason) statusParts.push(`finish reason: ${entry.finishReason}`);
+    if (entry.attempts > 1) statusParts.push(`${entry.attempts} attempts`);
+
+    card.innerHTML = `
+        <div class="error-card-content">
+            <svg class="error-card-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <circle cx="12" cy="12" r="10"></circle>
+                <line x1="12" y1="8" x2="12" y2="12"></line>
+                <line x1="12" y1="16" x2="12.01" y2="16"></line>
+            </svg>
+            <p class="error-card-reason">${escapeHtml(entry.error || 'Generation failed')}</p>
+            ${statusParts.length > 0 ? `<p class="error-card-status">${escapeHtml(statusParts.join(' · '))}</p>` : ''}
+            ${entry.errorDetails ? `<p class="error-card-status">${escapeHtml(entry.errorDetails)}</p>` : ''}
+            ${entry.modelText ? `<blockquote class="error-card-text">${escapeHtml(entry.modelText)}</blockquote>` : ''}
+            <div class="error-card-actions">
+                <button type="button" class="btn btn-secondary error-card-retry">Retry</button>
+                <button type="button" class="btn btn-ghost error-card-dismiss">Dismiss</button>
+            </div>
+        </div>
+        <div class="image-card-overlay" style="opacity: 1;">
+            <p class="image-card-prompt">${escapeHtml(truncatedPrompt)}</p>
+            <div class="image-card-meta">
+                <span class="meta-tag">${escapeHtml(job.modelName)}</span>
+                <span class="meta-tag error-tag">Failed</span>
+            </div>
+        </div>
+    `;
+
+    card.querySelector('.error-card-retry').addEventListener('click', (e) => {
+        e.stopPropagation();
+        retryFailedEntry(entry);
+    });
+
+    card.querySelector('.error-card-dismiss').addEventListener('click', (e) => {
+        e.stopPropagation();
+        dismissFailedEntry(entry);
+    });
+
+    return card;
+}
+
+// Removes a job's placeholder or error card
+function removeJobPlaceholder(jobId) {
+    const placeholder = elements.gallery.querySelector(`[data-job-id="${jobId}"]`);
+    if (placeholder) {
+        placeholder.remove();
+    }
+    
+    // Show empty state if gallery is now empty
+    if (!elements.gallery.querySelector('.image-card')) {
+        elements.galleryEmpty.style.display = 'flex';
+        if (!elements.gallery.contains(elements.galleryEmpty)) {
+            elements.gallery.appendChild(elements.galleryEmpty);
+        }
+    }
+}
+
+function prependImageCard(image, index) {
+    // Scrolled far down, the new card is rendered once the top rows come back
+    if (galleryWindow.topRows.length > 0) return;
+    const card = createImageCardElement(image, index);
+    
+    // Insert after any remaining placeholders
+    const firstNonPlaceholder = elements.gallery.querySelector('.image-card:not(.loading-placeholder)');
+    if (firstNonPlaceholder) {
+        elements.gallery.insertBefore(card, firstNonPlaceholder);
+    } else {
+        elements.gallery.insertBefore(card, galleryBottomSpacer.parentNode === elements.gallery ? galleryBottomSpacer : null);
+    }
+    
+    // Update indices on existing cards since we prepended
+    updateCardIndices();
+}
+
+function createImageCardElement(image, index) {
+    const card = document.createElement('div');
+    card.className = 'image-card';
+    card.dataset.imageId = image.id;
+
+    card.addEventListener('click', (e) => {
+        // While picking images, clicking a card selects it instead of opening it
+        if (e.shiftKey || state.selectedImageIds.size > 0) {
+            handleCardSelection(image.id, e);
+            return;
+        }
+        const idx = state.images.findIndex(img => img.id === image.id);
+        if (idx !== -1) openModal(state.images[idx]);
+    });
+
+    fillImageCard(card, image);
+    getGalleryCardObserver().observe(card);
+
+    return card;
+}
+
+// Card contents are rebuilt in place when the image's curation changes
+function fillImageCard(card, image) {
+    const safeUrl = getThumbnailUrl(image);
+    const safePrompt = escapeHtml(image.prompt);
+    const selected = state.selectedImageIds.has(image.id);
+
+    card.classList.toggle('selected', selected);
+    card.innerHTML = `
+        <button class="image-card-btn image-card-select${selected ? ' active' : ''}" title="Select (Shift-click for a range)">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">
+                <polyline points="20 6 9 17 4 12"></polyline>
+            </svg>
+        </button>
+        <div class="image-card-actions image-card-actions-top">
+            <button class="image-card-btn image-card-download" title="Download image">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                    <polyline points="7 10 12 15 17 10"></polyline>
+                    <line x1="12" y1="15" x2="12" y2="3"></line>
+                </svg>
+            </button>
+            <button class="image-card-btn image-card-delete" title="Delete image">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <polyline points="3 6 5 6 21 6"></polyline>
+                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                    <line x1="10" y1="11" x2="10" y2="17"></line>
+                    <line x1="14" y1="11" x2="14" y2="17"></line>
+                </svg>
+            </button>
+        </div>
+        <div class="image-card-actions image-card-actions-bottom">
+            <button class="image-card-btn image-card-favorite${image.favorite ? ' active' : ''}" title="${image.favorite ? 'Remove from favorites' : 'Add to favorites'}">
+                <svg viewBox="0 0 24 24" fill="${image.favorite ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
+                </svg>
+            </button>
+            <button class="image-card-btn image-card-reference" title="Use as reference">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path>
+                    <circle cx="12" cy="10" r="3"></circle>
+                </svg>
+            </button>
+            <button class="image-card-btn image-card-recreate" title="Recreate with same settings">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <polyline points="23 4 23 10 17 10"></polyline>
+                    <polyline points="1 20 1 14 7 14"></polyline>
+                    <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"></path>
+                </svg>
+            </button>
+        </div>
+        ${image.unsaved ? '<span class="image-card-badge" title="Storage is full or unavailable. Download this image to keep it.">Not saved</span>' : ''}
+        <img src="${safeUrl}" alt="${safePrompt}" loading="lazy"${image.width && image.height ? ` style="aspect-ratio: ${image.width} / ${image.height}"` : ''}>
+        <div class="image-card-overlay">
+            <p class="image-card-prompt">${safePrompt}</p>
+            ${renderRatingStars(image.rating, 'image-card-rating')}
+            <div class="image-card-meta">
+                <span class="meta-tag">${escapeHtml(image.modelName || image.model)}</span>
+                <span class="meta-tag">${escapeHtml(image.quality || image.size)}</span>
+                <span class="meta-tag">${escapeHtml(image.aspectRatio)}</span>
+                ${image.cost != null ? `<span class="meta-tag">${escapeHtml(formatCost(image.cost))}</span>` : ''}
+                ${(image.tags || []).map(tag => `<span class="meta-tag meta-tag-user">#${escapeHtml(tag)}</span>`).join('')}
+            </div>
+        </div>
+    `;
+
+    // Records saved before thumbnails existed (or whose thumbnail failed) show the full image
+    if (!safeUrl) {
+        getImageUrl(image).then(url => {
+            card.querySelector('img').src = url;
+        }).catch(e => console.warn('Could not load image:', e));
+    }
+
+    // Attach event handlers
+    attachImageCardHandlers(card, image);
+}
+
+function attachImageCardHandlers(card, image) {
+    const imageId = image.id;
+    
+    card.querySelector('.image-card-select').addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleCardSelection(imageId, e);
+    });
+
+    card.querySelector('.image-card-download').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const idx = state.images.findIndex(img => img.id === imageId);
+        if (idx !== -1) downloadImageByIndex(idx);
+    });
+
+    card.querySelector('.image-card-delete').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const idx = state.images.findIndex(img => img.id === imageId);
+        if (idx !== -1) deleteImage(idx);
+    });
+
+    card.querySelector('.image-card-favorite').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const target = state.images.find(img => img.id === imageId);
+        if (target) toggleImageFavorite(target);
+    });
+
+    card.querySelector('.image-card-rating').addEventListener('click', (e) => {
+        const star = e.target.closest('[data-rating]');
+        if (!star) return;
+        e.stopPropagation();
+        const target = state.images.find(img => img.id === imageId);
+        if (target) setImageRating(target, Number(star.dataset.rating));
+    });
+
+    card.querySelector('.image-card-reference').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const idx = state.images.findIndex(img => img.id === imageId);
+        if (idx !== -1) addImageAsReference(idx);
+    });
+
+    card.querySelector('.image-card-recreate').addEventListener('click', (e) => {
+        e.stopPropagation();
+        const idx = state.images.findIndex(img => img.id === imageId);
+        if (idx !== -1) recreateImageByIndex(idx);
+    });
+}
+
+function updateCardIndices() {
+    // No longer needed since we use image IDs instead of indices
+}
+
+async function deleteImage(index) {
+    const imageToDelete = state.images[index];
+    if (!imageToDelete) return;
+    await moveImagesToTrash([imageToDelete.id], 'Image moved to the trash');
+}
+
+async function downloadImageByIndex(index) {
+    const image = state.images[index];
+    if (!image) return;
+
+    const timestamp = new Date(image.createdAt).toISOString().replace(/[:.]/g, '-');
+    const ext = getImageFileExtension(image);
+    await downloadImageFile(image, `imagen-${timestamp}.${ext}`);
+    showToast('Image downloaded', 'success');
+}
+
+function addImageAsReference(index) {
+    const image = state.images[index];
+    if (!image) return;
+
+    // Gallery images are referenced by their own ID, so no copy of the bytes is made
+    state.references.push({ id: image.id, url: getThumbnailUrl(image) || image.url });
+    renderReferenceSlots();
+    saveReferenceSelection();
+    showToast('Image added as reference', 'success');
+}
+
+function recreateImageByIndex(index) {
+    const image = state.images[index];
+    if (!image) return;
+
+    // Restore prompt
+    setPromptText(image.prompt);
+
+    // Restore model using custom select
+    state.selectedModel = image.model;
+    persistSetting('imagen_model', state.selectedModel);
+    const modelOption = document.querySelector(`.custom-select-option[data-value="${image.model}"]`);
+    if (modelOption) {
+        document.querySelectorAll('.custom-select-option').forEach(o => o.classList.remove('selected'));
+        modelOption.classList.add('selected');
+        elements.modelSelectValue.textContent = modelOption.textContent;
+    }
+    updateGeminiOptionsVisibility();
+
+    // Restore quality/size
+    document.querySelectorAll('.btn-toggle[data-quality]').forEach(btn => {
+        btn.classList.remove('active');
+        if (btn.dataset.quality === image.quality) {
+            btn.classList.add('active');
+        }
+    });
+
+    // Restore aspect ratio
+    document.querySelectorAll('.btn-aspect').forEach(btn => {
+        btn.classList.remove('active');
+        if (btn.dataset.ratio === image.aspectRatio) {
+            btn.classList.add('active');
+        }
+    });
+
+    // Restore references
+    restoreReferences(image.referenceIds || []);
+
+    showToast('Settings restored. Click Generate to recreate.', 'success');
+
+    // Scroll to top
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+// ===== Modal =====
+function openModal(image) {
+    closeInpaintEditor();
+    state.currentImage = image;
+    // Show the thumbnail straight away, then swap in the full-resolution image
+    elements.modalImage.src = getThumbnailUrl(image);
+    getImageUrl(image).then(url => {
+        if (state.currentImage === image && url) {
+            elements.modalImage.src = url;
+        }
+    }).catch(e => console.warn('Could not load full image:', e));
+    elements.modalMetadata.innerHTML = `
+        <p><strong>Prompt:</strong> ${escapeHtml(image.prompt)}</p>
+        ${image.promptTemplate ? `<p><strong>Template:</strong> ${escapeHtml(image.promptTemplate)}</p>` : ''}
+        ${image.promptSnippets?.length > 0 ? `<p><strong>Appended snippets:</strong> ${escapeHtml(image.promptSnippets.join(' '))}</p>` : ''}
+        <p><strong>Model:</strong> ${escapeHtml(image.modelName || image.model)}</p>
+        <p><strong>Size/Quality:</strong> ${escapeHtml(image.quality || image.size)}</p>
+        <p><strong>Aspect Ratio:</strong> ${escapeHtml(image.aspectRatio)}</p>
+        <p><strong>Created:</strong> ${escapeHtml(new Date(image.createdAt).toLocaleString())}</p>
+        ${image.referenceIds?.length > 0 ? `<p><strong>References Used:</strong> ${escapeHtml(image.referenceIds.length)}</p>` : ''}
+        ${image.cost != null ? `<p><strong>Cost:</strong> ${escapeHtml(formatCost(image.cost))}${image.usage?.costEstimated ? ' (estimated)' : ''}</p>` : ''}
+        ${image.usage ? `<p><strong>Tokens:</strong> ${escapeHtml(image.usage.promptTokens)} in · ${escapeHtml(image.usage.completionTokens)} out</p>` : ''}
+        ${image.generationId ? `<p><strong>Generation ID:</strong> ${escapeHtml(image.generationId)}</p>` : ''}
+        ${image.maskId ? `<p><strong>Region Edit Of:</strong> <button type="button" class="btn btn-ghost btn-inline" data-lineage-open="${image.parentImageId}">View original</button></p>` : ''}
+        <div class="modal-session" id="modalSession"></div>
+        <div class="modal-lineage" id="modalLineage"></div>
+        <div class="image-curation" id="modalCuration"></div>
+    `;
+    state.modalSession = null;
+    renderModalCuration(image);
+    renderModalSession(image);
+    renderModalLineage(image);
+    elements.imageModal.classList.add('active');
+}
+
+function closeModal() {
+    closeInpaintEditor();
+    elements.imageModal.classList.remove('active');
+    state.currentImage = null;
+}
+
+function useImageAsReference() {
+    if (!state.currentImage) return;
+
+    const image = state.currentImage;
+    state.references.push({ id: image.id, url: getThumbnailUrl(image) || image.url });
+    renderReferenceSlots();
+    saveReferenceSelection();
+    closeModal();
+    showToast('Image added as reference', 'success');
+}
+
+function recreateImage() {
+    if (!state.currentImage) return;
+
+    // Restore prompt
+    setPromptText(state.currentImage.prompt);
+
+    // Restore model using custom select
+    state.selectedModel = state.currentImage.model;
+    persistSetting('imagen_model', state.selectedModel);
+    const modelOption = document.querySelector(`.custom-select-option[data-value="${state.currentImage.model}"]`);
+    if (modelOption) {
+        document.querySelectorAll('.custom-select-option').forEach(o => o.classList.remove('selected'));
+        modelOption.classList.add('selected');
+        elements.modelSelectValue.textContent = modelOption.textContent;
+    }
+    updateGeminiOptionsVisibility();
+
+    // Restore quality/size
+    document.querySelectorAll('.btn-toggle[data-quality]').forEach(btn => {
+        btn.classList.remove('active');
+        if (btn.dataset.quality === state.currentImage.quality) {
+            btn.classList.add('active');
+            state.imageSize = btn.dataset.size;
+            state.imageQuality = btn.dataset.quality;
+        }
+    });
+
+    // Restore aspect ratio
+    document.querySelectorAll('.btn-aspect').forEach(btn => {
+        btn.classList.remove('active');
+        if (btn.dataset.ratio === state.currentImage.aspectRatio) {
+            btn.classList.add('active');
+            state.aspectRatio = state.currentImage.aspectRatio;
+        }
+    });
+
+    // Restore references (always update the UI, even if empty to clear previous refs)
+    restoreReferences(state.currentImage.referenceIds || []);
+
+    closeModal();
+    showToast('Settings restored. Click Generate to recreate.', 'success');
+
+    // Scroll to top
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+async function downloadCurrentImage() {
+    if (!state.currentImage) return;
+
+    const ext = getImageFileExtension(state.currentImage);
+    await downloadImageFile(state.currentImage, `imagen_${state.currentImage.id}.${ext}`);
+    showToast('Download started', 'success');
+}
+
+// ===== Favorites, Ratings & Tags =====
+const MAX_TAG_LENGTH = 40;
+
+function renderRatingStars(rating = 0, className = '') {
+    return `
+        <div class="rating-stars ${className}" title="Rate 1-5 (click the current rating to clear)">
+            ${[1, 2, 3, 4, 5].map(value => `
+                <button type="button" class="rating-star${value <= rating ? ' active' : ''}" data-rating="${value}" aria-label="${value} star${value > 1 ? 's' : ''}">★</button>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Favorite toggle, stars and tag editor at the bottom of the modal metadata
+function renderModalCuration(image) {
+    const container = document.getElementById('modalCuration');
+    if (!container) return;
+    container.innerHTML = `
+        <div class="curation-row">
+            <button type="button" class="btn btn-ghost btn-inline${image.favorite ? ' active' : ''}" data-curation="favorite" title="Toggle favorite (F)">
+                ${image.favorite ? '♥ Favorite' : '♡ Add to Favorites'}
+            </button>
+            ${renderRatingStars(image.rating)}
+        </div>
+        <div class="curation-row curation-tags">
+            ${(image.tags || []).map(tag => `
+                <span class="tag-chip">${escapeHtml(tag)}<button type="button" data-remove-tag="${escapeHtml(tag)}" title="Remove tag">×</button></span>
+            `).join('')}
+            <input type="text" class="tag-input" id="modalTagInput" list="tagSuggestions" maxlength="${MAX_TAG_LENGTH}" placeholder="Add tag...">
+        </div>
+        ${state.projects.length > 0 ? `
+            <div class="curation-row">
+                <span>Projects: ${escapeHtml(state.projects.filter(p => image.projectIds?.includes(p.id)).map(p => p.name).join(', ') || 'none')}</span>
+                <select class="filter-select" id="modalProjectTarget">
+                    ${state.projects.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join('')}
+                </select>
+                <button type="button" class="btn btn-ghost btn-inline" data-curation="copy-project">Copy</button>
+                <button type="button" class="btn btn-ghost btn-inline" data-curation="move-project">Move</button>
+            </div>
+        ` : ''}
+        <p class="panel-muted">Shortcuts: 1-5 rate, 0 clear rating, F favorite</p>
+    `;
+}
+
+function normalizeTag(tag) {
+    return tag.trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+}
+
+async function updateImageCuration(image, changes) {
+    Object.assign(image, changes);
+
+    // Refresh the card and the open modal in place
+    const card = elements.gallery.querySelector(`.image-card[data-image-id="${image.id}"]`);
+    if (card) {
+        fillImageCard(card, image);
+    }
+    if (state.currentImage === image) {
+        renderModalCuration(image);
+    }
+    // Un-favoriting under Favorites, moving out of the project and the like take it out of the view
+    if (!imageMatchesFilter(image)) {
+        hideImageFromView(image);
+    }
+
+    if (image.unsaved) return;
+    try {
+        await ImagenDB.updateImage(image.id, changes);
+    } catch (error) {
+        console.error('Failed to update image:', error);
+        showToast('Could not save the change', 'error');
+    }
+}
+
+function toggleImageFavorite(image) {
+    updateImageCuration(image, { favorite: image.favorite ? 0 : 1 });
+}
+
+function setImageRating(image, rating) {
+    // Clicking the current rating clears it
+    updateImageCuration(image, { rating: rating === image.rating ? 0 : rating });
+}
+
+async function addImageTag(image, rawTag) {
+    const tag = normalizeTag(rawTag);
+    if (!tag || image.tags?.includes(tag)) return;
+    await updateImageCuration(image, { tags: [...(image.tags || []), tag] });
+    renderFilterOptions();
+}
+
+async function removeImageTag(image, tag) {
+    await updateImageCuration(image, { tags: (image.tags || []).filter(t => t !== tag) });
+    renderFilterOptions();
+}
+
+function handleModalCurationClick(e) {
+    const image = state.currentImage;
+    if (!image) return;
+
+    const star = e.target.closest('.image-curation [data-rating]');
+    const removeTag = e.target.closest('[data-remove-tag]');
+    if (star) {
+        setImageRating(image, Number(star.dataset.rating));
+    } else if (removeTag) {
+        removeImageTag(image, removeTag.dataset.removeTag);
+    } else if (e.target.closest('[data-curation="favorite"]')) {
+        toggleImageFavorite(image);
+    } else if (e.target.closest('[data-curation="copy-project"], [data-curation="move-project"]')) {
+        const move = Boolean(e.target.closest('[data-curation="move-project"]'));
+        addImageToProject(image, document.getElementById('modalProjectTarget').value, { move });
+    }
+}
+
+function handleModalTagInput(e) {
+    if (e.target.id !== 'modalTagInput' || !state.currentImage) return;
+    if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        const input = e.target;
+        addImageTag(state.currentImage, input.value).then(() => {
+            document.getElementById('modalTagInput')?.focus();
+        });
+        input.value = '';
+    }
+}
+
+// 1-5 rate, 0 clears, F toggles favorite while the image modal is open
+function handleCurationShortcut(e) {
+    if (!state.currentImage || !elements.imageModal.classList.contains('active')) return false;
+    if (e.target instanceof Element && e.target.closest('input, textarea, select')) return false;
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+
+    if (/^[0-5]$/.test(e.key)) {
+        const rating = Number(e.key);
+        updateImageCuration(state.currentImage, { rating });
+        return true;
+    }
+    if (e.key.toLowerCase() === 'f') {
+        toggleImageFavorite(state.currentImage);
+        return true;
+    }
+    return false;
+}
+
+// ===== Spend Tracking =====
+function getStartOfToday() {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+
+function getStartOfWeek() {
+    // Weeks start on Monday
+    const date = getStartOfToday();
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return date;
+}
+
+function sumSpend(records, since) {
+    const sinceTime = since ? new Date(since).getTime() : 0;
+    return records
+        .filter(record => new Date(record.createdAt).getTime() >= sinceTime)
+        .reduce((sum, record) => sum + (record.cost || 0), 0);
+}
+
+function renderSpendSummary() {
+    const rows = [
+        ['Today', sumSpend(state.usageLedger, getStartOfToday())],
+        ['This week', sumSpend(state.usageLedger, getStartOfWeek())],
+        ['This session', sumSpend(state.usageLedger, state.sessionStartedAt)]
+    ];
+    elements.spendSummary.innerHTML = rows.map(([label, amount]) => `
+        <div class="spend-row">
+            <span>${label}</span>
+            <span class="spend-amount">${escapeHtml(formatCost(amount))}</span>
+        </div>
+    `).join('');
+
+    if (state.budgetAmount) {
+        const spent = getBudgetSpent();
+        elements.budgetStatus.textContent = `${formatCost(spent)} of ${formatCost(state.budgetAmount)} used`;
+        elements.budgetStatus.classList.toggle('over-budget', spent >= state.budgetAmount);
+    } else {
+        elements.budgetStatus.textContent = 'No budget set';
+        elements.budgetStatus.classList.remove('over-budget');
+    }
+
+    updateCostEstimate();
+}
+
+function openSpendDetails() {
+    const startOfToday = getStartOfToday();
+    const startOfWeek = getStartOfWeek();
+    const byModel = new Map();
+
+    state.usageLedger.forEach(record => {
+        const group = byModel.get(record.model) || { name: record.modelName || record.model, records: [] };
+        group.records.push(record);
+        byModel.set(record.model, group);
+    });
+
+    if (byModel.size === 0) {
+        elements.spendDetailsContent.innerHTML = '<p class="panel-empty">No billed generations recorded yet.</p>';
+    } else {
+        const groups = [...byModel.values()].sort((a, b) => sumSpend(b.records) - sumSpend(a.records));
+        const hasEstimates = state.usageLedger.some(record => record.costEstimated);
+        elements.spendDetailsContent.innerHTML = `
+            <table class="panel-table">
+                <thead><tr><th>Model</th><th>Responses</th><th>Tokens</th><th>Avg / Image</th><th>Today</th><th>This Week</th><th>All Time</th></tr></thead>
+                <tbody>
+                    ${groups.map(group => {
+                        const total = sumSpend(group.records);
+                        const tokens = group.records.reduce((sum, record) => sum + (record.totalTokens || 0), 0);
+                        return `
+                            <tr>
+                                <td>${escapeHtml(group.name)}</td>
+                                <td>${group.records.length}</td>
+                                <td>${tokens.toLocaleString()}</td>
+                                <td>${escapeHtml(formatCost(total / group.records.length))}</td>
+                                <td>${escapeHtml(formatCost(sumSpend(group.records, startOfToday)))}</td>
+                                <td>${escapeHtml(formatCost(sumSpend(group.records, startOfWeek)))}</td>
+                                <td>${escapeHtml(formatCost(total))}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+            ${hasEstimates ? '<p class="panel-muted">Some costs are estimated from catalog pricing because the provider did not report them.</p>' : ''}
+        `;
+    }
+
+    elements.spendModal.classList.add('active');
+}
+
+function getStartOfMonth() {
+    const date = getStartOfToday();
+    date.setDate(1);
+    return date;
+}
+
+function getBudgetPeriodStart() {
+    return state.budgetPeriod === 'monthly' ? getStartOfMonth() : getStartOfToday();
+}
+
+// ===== Cost Estimate & Budget =====
+// Total and count of reported costs per model and quality, kept in step with the ledger
+// so the estimate doesn't walk every past generation on each keystroke
+const ledgerCosts = new Map();
+
+function getLedgerCostKey(model, quality) {
+    return `${model}|${quality}`;
+}
+
+function tallyLedgerCosts(records) {
+    records.forEach(record => {
+        if (typeof record.cost !== 'number') return;
+        const key = getLedgerCostKey(record.model, record.quality);
+        const tally = ledgerCosts.get(key) || { total: 0, count: 0 };
+        ledgerCosts.set(key, { total: tally.total + record.cost, count: tally.count + 1 });
+    });
+}
+
+/**
+ * Estimates the cost of one image for a generation job.
+ * Prefers the average of past generations with the same model and quality,
+ * then falls back to catalog pricing. Returns { cost: null } when neither is available.
+ */
+function estimateJobCost(job) {
+    const pricing = job.modelConfig.pricing;
+    const hasPricing = Boolean(pricing) && Object.keys(pricing).length > 0;
+
+    // An edit session re-sends every earlier turn with each request
+    const context = getSessionContext(job);
+    const contextCost = hasPricing ? estimateInputCost(pricing, context.chars, context.images) : 0;
+    const contextNote = context.turns > 0 ? `, plus ${context.turns} earlier session turn(s)` : '';
+
+    const history = ledgerCosts.get(getLedgerCostKey(job.model, job.quality));
+    if (history) {
+        return { cost: history.total / history.count + contextCost, source: `average of your last ${history.count} generation(s)${contextNote}` };
+    }
+
+    if (!hasPricing) {
+        return { cost: null, source: 'no pricing available for this model' };
+    }
+
+    const outputTokens = OUTPUT_TOKENS_BY_QUALITY[job.quality] || OUTPUT_TOKENS_BY_QUALITY['1K'];
+    const cost = (pricing.request || 0) +
+        estimateInputCost(pricing, getRequestPrompt(job).length, job.referenceIds.length) +
+        outputTokens * (pricing.completion || 0) +
+        contextCost;
+    return { cost, source: `catalog pricing${contextNote}` };
+}
+
+function estimateInputCost(pricing, chars, imageCount) {
+    const imageCost = pricing.image
+        ? imageCount * pricing.image
+        : imageCount * TOKENS_PER_REFERENCE_IMAGE * (pricing.prompt || 0);
+    return Math.ceil(chars / CHARS_PER_TOKEN) * (pricing.prompt || 0) + imageCost;
+}
+
+// What buildSessionMessages replays for a job: each earlier turn's prompt, references and output image
+function getSessionContext(job) {
+    const session = job.sessionId && state.activeSession?.id === job.sessionId ? state.activeSession : null;
+    const turns = session ? getSessionPath(session, job.parentImageId) : [];
+    return {
+        turns: turns.length,
+        chars: turns.reduce((sum, turn) => sum + getRequestPrompt(turn).length + (turn.assistantText || '').length, 0),
+        images: turns.reduce((sum, turn) => sum + turn.referenceIds.length + 1, 0)
+    };
+}
+
+function updateCostEstimate() {
+    const models = getGenerationModels();
+    if (!models.every(model => MODEL_CONFIGS[model])) return;
+    if (models.length === 0) {
+        elements.costEstimate.textContent = '';
+        elements.costEstimate.classList.remove('over-budget');
+        return;
     }
-};
 
-// ===== DOM Elements =====
-const elements = {
-    // Sidebar
-    modelSelectContainer: document.getElementById('modelSelectContainer'),
-    modelSelectTrigger: document.getElementById('modelSelectTrigger'),
-    modelSelectValue: document.getElementById('modelSelectValue'),
-    modelSelectOptions: document.getElementById('modelSelectOptions'),
-    geminiOptions: document.getElementById('geminiOptions'),
-    apiKey: document.getElementById('apiKey'),
-    saveApiKey: document.getElementById('saveApiKey'),
-    imageCount: document.getElementById('imageCount'),
-    decreaseCount: document.getElementById('decreaseCount'),
-    increaseCount: document.getElementById('increaseCount'),
-    clearReferences: document.getElementById('clearReferences'),
-    referenceSlots: document.getElementById('referenceSlots'),
+    // Estimate with the prompt as typed; an empty prompt still gives a useful number
+    let jobs;
+    try {
+        // Like generateImages, an edit session takes over from the selected models
+        const session = state.activeSession && MODEL_CONFIGS[state.activeSession.model] ? state.activeSession : null;
+        const promptSnippets = getAppendedSnippets();
+        jobs = session
+            ? createTemplateJobs(elements.promptInput.value.trim(), [session.model], { sessionId: session.id, parentImageId: session.activeImageId, promptSnippets })
+            : createTemplateJobs(elements.promptInput.value.trim(), models, { promptSnippets });
+    } catch (error) {
+        elements.costEstimate.textContent = 'Invalid template';
+        elements.costEstimate.title = error.message;
+        elements.costEstimate.classList.remove('over-budget');
+        return;
+    }
+    const jobCount = jobs.length > 1 ? `${jobs.length} jobs · ` : '';
 
-    // Main Content
-    promptInput: document.getElementById('promptInput'),
-    charCount: document.getElementById('charCount'),
-    generateBtn: document.getElementById('generateBtn'),
-    gallery: document.getElementById('gallery'),
-    galleryEmpty: document.getElementById('galleryEmpty'),
-    clearGallery: document.getElementById('clearGallery'),
+    const unknown = jobs.map(estimateJobCost).find(estimate => estimate.cost === null);
+    if (unknown) {
+        elements.costEstimate.textContent = `${jobCount}Cost unknown`;
+        elements.costEstimate.title = unknown.source;
+        elements.costEstimate.classList.remove('over-budget');
+        return;
+    }
 
-    // Modal
-    imageModal: document.getElementById('imageModal'),
-    modalOverlay: document.getElementById('modalOverlay'),
-    modalClose: document.getElementById('modalClose'),
-    modalImage: document.getElementById('modalImage'),
-    modalMetadata: document.getElementById('modalMetadata'),
-    useAsReference: document.getElementById('useAsReference'),
-    recreateImage: document.getElementById('recreateImage'),
-    downloadImage: document.getElementById('downloadImage')
-};
+    const total = estimateJobsCost(jobs);
+    elements.costEstimate.textContent = `${jobCount}~${formatCost(total)}`;
+    elements.costEstimate.title = jobs.length > 1
+        ? `Estimated for ${jobs.length} jobs of ${state.imageCount} image(s)`
+        : `Estimated from ${estimateJobCost(jobs[0]).source}`;
+    elements.costEstimate.classList.toggle('over-budget', wouldExceedBudget(total));
+}
 
-// ===== Initialization =====
-async function init() {
-    // Load saved API key
-    if (state.apiKey) {
-        elements.apiKey.value = state.apiKey;
+// Total estimate for queueing `state.imageCount` images of every job, or null if any is unknown
+function estimateJobsCost(jobs) {
+    const costs = jobs.map(job => estimateJobCost(job).cost);
+    if (costs.includes(null)) return null;
+    return costs.reduce((sum, cost) => sum + cost, 0) * state.imageCount;
+}
+
+function getBudgetSpent() {
+    return sumSpend(state.usageLedger, getBudgetPeriodStart());
+}
+
+// Estimated cost of images already queued but not yet billed; unknown estimates count as zero
+function getPendingQueueCost() {
+    return state.queue
+        .filter(entry => entry.status === 'queued' || entry.status === 'running' || entry.status === 'retrying')
+        .reduce((sum, entry) => sum + (estimateJobCost(entry.job).cost || 0), 0);
+}
+
+function wouldExceedBudget(cost) {
+    if (!state.budgetAmount) return false;
+    return getBudgetSpent() + getPendingQueueCost() + (cost || 0) > state.budgetAmount;
+}
+
+/**
+ * Checks a batch against the budget. Depending on the budget mode this either
+ * asks for confirmation or blocks the batch. Returns true when it may proceed.
+ */
+function confirmWithinBudget(cost) {
+    if (!wouldExceedBudget(cost)) return true;
+
+    const period = state.budgetPeriod === 'monthly' ? 'monthly' : 'daily';
+    const spent = getBudgetSpent();
+    const pending = getPendingQueueCost();
+    const detail = `${formatCost(spent)} of your ${formatCost(state.budgetAmount)} ${period} budget is used` +
+        (pending > 0 ? `, ${formatCost(pending)} is already queued` : '') +
+        (cost !== null ? ` and this batch is estimated at ${formatCost(cost)}.` : '.');
+
+    if (state.budgetMode === 'block') {
+        showToast(`Over budget: ${detail}`, 'error');
+        return false;
     }
+    return confirm(`This batch would go over budget. ${detail}\n\nGenerate anyway?`);
+}
 
-    // Render reference slots
-    renderReferenceSlots();
+function formatCost(amount) {
+    if (amount == null) return '';
+    // Per-image costs are often fractions of a cent, so keep more precision for small amounts
+    if (amount === 0 || amount >= 1) return `$${amount.toFixed(2)}`;
+    return `$${amount >= 0.01 ? amount.toFixed(3) : amount.toFixed(4)}`;
+}
 
-    // Restore saved model selection
-    if (state.selectedModel) {
-        const savedOption = document.querySelector(`.custom-select-option[data-value="${state.selectedModel}"]`);
-        if (savedOption) {
-            document.querySelectorAll('.custom-select-option').forEach(o => o.classList.remove('selected'));
-            savedOption.classList.add('selected');
-            elements.modelSelectValue.textContent = savedOption.textContent;
-        }
+// ===== Failure History =====
+async function openFailureHistory() {
+    let failures = [];
+    try {
+        failures = await ImagenDB.getAllFailures();
+    } catch (e) {
+        console.warn('Could not load failure history:', e);
+    }
+    renderFailureHistory(failures);
+    elements.failureModal.classList.add('active');
+}
+
+function renderFailureHistory(failures) {
+    const container = elements.failureHistoryContent;
+
+    if (failures.length === 0) {
+        container.innerHTML = '<p class="panel-empty">No failed generations recorded.</p>';
+        return;
     }
 
-    // Restore saved image quality/size
-    document.querySelectorAll('.btn-toggle').forEach(btn => {
-        btn.classList.remove('active');
-        if (btn.dataset.quality === state.imageQuality) {
-            btn.classList.add('active');
-        }
+    // Group by model + prompt so repeat rejections stand out
+    const groups = new Map();
+    failures.forEach(failure => {
+        const key = `${failure.model}\n${failure.prompt}`;
+        const group = groups.get(key) || { failure, count: 0 };
+        group.count++;
+        groups.set(key, group);
     });
-
-    // Restore saved aspect ratio
-    document.querySelectorAll('.btn-aspect').forEach(btn => {
-        btn.classList.remove('active');
-        if (btn.dataset.ratio === state.aspectRatio) {
-            btn.classList.add('active');
-        }
+    const repeated = [...groups.values()]
+        .filter(group => group.count > 1)
+        .sort((a, b) => b.count - a.count);
+
+    const byModel = {};
+    failures.forEach(failure => {
+        const name = failure.modelName || failure.model;
+        byModel[name] = (byModel[name] || 0) + 1;
     });
 
-    // Restore saved image count
-    if (elements.imageCount) {
-        elements.imageCount.value = state.imageCount;
+    container.innerHTML = `
+        <h3 class="panel-section-title">By Model</h3>
+        <div class="panel-chips">
+            ${Object.entries(byModel)
+                .sort((a, b) => b[1] - a[1])
+                .map(([name, count]) => `<span class="meta-tag">${escapeHtml(name)}: ${count}</span>`)
+                .join('')}
+        </div>
+        ${repeated.length > 0 ? `
+            <h3 class="panel-section-title">Repeatedly Rejected Prompts</h3>
+            <table class="panel-table">
+                <thead><tr><th>Model</th><th>Prompt</th><th>Failures</th><th>Last Reason</th></tr></thead>
+                <tbody>
+                    ${repeated.map(({ failure, count }) => `
+                        <tr>
+                            <td>${escapeHtml(failure.modelName || failure.model)}</td>
+                            <td class="panel-prompt">${escapeHtml(failure.prompt)}</td>
+                            <td>${count}</td>
+                            <td>${escapeHtml(failure.error)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+        <h3 class="panel-section-title">Recent Failures</h3>
+        <table class="panel-table">
+            <thead><tr><th>When</th><th>Model</th><th>Prompt</th><th>Reason</th></tr></thead>
+            <tbody>
+                ${failures.slice(0, 100).map(failure => `
+                    <tr>
+                        <td>${escapeHtml(new Date(failure.createdAt).toLocaleString())}</td>
+                        <td>${escapeHtml(failure.modelName || failure.model)}</td>
+                        <td class="panel-prompt">${escapeHtml(failure.prompt)}</td>
+                        <td>
+                            ${escapeHtml(failure.error)}${failure.status ? ` (HTTP ${escapeHtml(failure.status)})` : ''}
+                            ${failure.modelText ? `<div class="panel-muted">${escapeHtml(failure.modelText)}</div>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function clearFailureHistory() {
+    if (!confirm('Clear the failure history?')) return;
+    try {
+        await ImagenDB.clearFailures();
+    } catch (e) {
+        console.warn('Could not clear failure history:', e);
     }
+    renderFailureHistory([]);
+    showToast('Failure history cleared', 'success');
+}
+
+// ===== Storage Management =====
+const STORAGE_WARNING_PERCENT = 90; // Usage bar turns red above this share of the quota
 
-    // Load images from IndexedDB
+async function getStorageEstimate() {
+    if (!navigator.storage?.estimate) return null;
     try {
-        state.images = await ImagenDB.getAllImages();
+        const { usage, quota } = await navigator.storage.estimate();
+        const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+        return { usage, quota, persisted };
     } catch (error) {
-        console.error('Failed to load images from IndexedDB:', error);
-        state.images = [];
+        console.warn('Could not read storage estimate:', error);
+        return null;
     }
+}
 
-    // Render gallery
-    renderGallery();
+async function requestPersistentStorage({ notify = false } = {}) {
+    if (!navigator.storage?.persist) {
+        if (notify) showToast('This browser does not support persistent storage', 'warning');
+        return false;
+    }
+    try {
+        if (await navigator.storage.persisted()) return true;
+        const granted = await navigator.storage.persist();
+        if (notify) {
+            showToast(granted ? 'Storage is now persistent' : 'The browser declined persistent storage', granted ? 'success' : 'warning');
+        }
+        return granted;
+    } catch (error) {
+        console.warn('Could not request persistent storage:', error);
+        return false;
+    }
+}
 
-    // Set up event listeners
-    setupEventListeners();
+async function renderStorageSummary() {
+    const estimate = await getStorageEstimate();
+    const unsavedCount = state.unsavedImages.length;
 
-    // Initialize UI state
-    updateGeminiOptionsVisibility();
+    const warning = unsavedCount > 0
+        ? `<p class="storage-warning">${unsavedCount} image(s) could not be saved. Download them or free up space before closing this tab.</p>`
+        : '';
+
+    if (!estimate) {
+        elements.storageSummary.innerHTML = `<span class="storage-status">Storage usage unavailable</span>${warning}`;
+        return;
+    }
+
+    const percent = estimate.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 0;
+    elements.storageSummary.innerHTML = `
+        <div class="storage-bar${percent >= STORAGE_WARNING_PERCENT ? ' storage-bar-full' : ''}">
+            <div class="storage-bar-fill" style="width: ${percent.toFixed(1)}%"></div>
+        </div>
+        <div class="spend-row">
+            <span>${escapeHtml(formatBytes(estimate.usage))} used</span>
+            <span class="spend-amount">${escapeHtml(formatBytes(estimate.quota))}</span>
+        </div>
+        <span class="storage-status">${estimate.persisted ? 'Persistent' : 'May be cleared by the browser when space runs low'}</span>
+        ${warning}
+    `;
 }
 
-// ===== Event Listeners =====
-function setupEventListeners() {
-    // Custom dropdown - toggle
-    elements.modelSelectTrigger.addEventListener('click', () => {
-        elements.modelSelectContainer.classList.toggle('open');
-    });
+function handleImageSaveFailure(image, error) {
+    image.unsaved = true;
+    if (!state.unsavedImages.includes(image)) state.unsavedImages.push(image);
 
-    // Custom dropdown - option selection
-    document.querySelectorAll('.custom-select-option').forEach(option => {
-        option.addEventListener('click', () => {
-            state.selectedModel = option.dataset.value;
-            localStorage.setItem('imagen_model', state.selectedModel);
-            elements.modelSelectValue.textContent = option.textContent;
-            document.querySelectorAll('.custom-select-option').forEach(o => o.classList.remove('selected'));
-            option.classList.add('selected');
-            elements.modelSelectContainer.classList.remove('open');
-            updateGeminiOptionsVisibility();
+    // Re-render the card so it shows the "Not saved" badge
+    const card = elements.gallery.querySelector(`.image-card[data-image-id="${image.id}"]`);
+    if (card) {
+        fillImageCard(card, image);
+    }
+
+    const reason = error?.name === 'QuotaExceededError' ? 'Storage is full' : 'Saving failed';
+    showToast(`${reason}: this image will be lost on reload. Download it or free up space in Manage Storage.`, 'error');
+}
+
+async function openStorageManager() {
+    let images = [];
+    let trash = [];
+    try {
+        images = await ImagenDB.getAllImages();
+        trash = await ImagenDB.getAllTrash();
+    } catch (error) {
+        console.warn('Could not load images for storage manager:', error);
+    }
+    renderStorageManager(images, trash.length, await getStorageEstimate());
+    elements.storageModal.classList.add('active');
+}
+
+// Keeps the oldest copy of each image (by content hash) and returns the IDs of the rest
+function findDuplicateImageIds(images) {
+    const seen = new Set();
+    const duplicates = new Set();
+    [...images]
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .forEach(image => {
+            const key = image.hash || image.url;
+            // A project copy shares its original's bytes, so deleting it would free nothing
+            if (!key || image.blobId != null) return;
+            if (seen.has(key)) {
+                duplicates.add(image.id);
+            } else {
+                seen.add(key);
+            }
         });
+    return duplicates;
+}
+
+function renderStorageManager(images, trashCount, estimate) {
+    state.storageImages = images;
+
+    const byModel = new Map();
+    images.forEach(image => {
+        const group = byModel.get(image.model) || { name: image.modelName || image.model, count: 0 };
+        group.count++;
+        byModel.set(image.model, group);
     });
+    const duplicateCount = findDuplicateImageIds(images).size;
+
+    elements.storageDetailsContent.innerHTML = `
+        <h3 class="panel-section-title">Usage</h3>
+        <table class="panel-table">
+            <tbody>
+                <tr><td>Used</td><td>${estimate ? escapeHtml(formatBytes(estimate.usage)) : 'Unknown'}</td></tr>
+                <tr><td>Available</td><td>${estimate ? escapeHtml(formatBytes(Math.max(0, estimate.quota - estimate.usage))) : 'Unknown'}</td></tr>
+                <tr><td>Images stored</td><td>${images.length}</td></tr>
+                <tr><td>In the trash</td><td>${trashCount}</td></tr>
+                <tr>
+                    <td>Persistent</td>
+                    <td>
+                        ${estimate?.persisted ? 'Yes' : 'No, the browser may evict images when space runs low'}
+                        ${estimate && !estimate.persisted ? '<button type="button" class="btn btn-ghost btn-inline" data-storage-action="persist">Request</button>' : ''}
+                    </td>
+                </tr>
+            </tbody>
+        </table>
+
+        <h3 class="panel-section-title">Clean Up</h3>
+        <div class="cleanup-row">
+            <span>Delete images older than</span>
+            <input type="number" class="number-input cleanup-input" id="cleanupDays" value="30" min="1">
+            <span>days</span>
+            <button type="button" class="btn btn-ghost btn-inline" data-storage-action="older">Delete</button>
+        </div>
+        <div class="cleanup-row">
+            <span>Delete all images from</span>
+            <select class="cleanup-select" id="cleanupModel">
+                ${[...byModel.entries()]
+                    .sort((a, b) => b[1].count - a[1].count)
+                    .map(([model, group]) => `<option value="${escapeHtml(model)}">${escapeHtml(group.name)} (${group.count})</option>`)
+                    .join('')}
+            </select>
+            <button type="button" class="btn btn-ghost btn-inline" data-storage-action="model"${byModel.size === 0 ? ' disabled' : ''}>Delete</button>
+        </div>
+        <div class="cleanup-row">
+            <span>Delete duplicate images (${duplicateCount} found, the oldest copy is kept)</span>
+            <button type="button" class="btn btn-ghost btn-inline" data-storage-action="duplicates"${duplicateCount === 0 ? ' disabled' : ''}>Delete</button>
+        </div>
+        <div class="cleanup-row">
+            <span>Empty the trash (${trashCount} image(s), deleted for good)</span>
+            <button type="button" class="btn btn-ghost btn-inline" data-storage-action="trash"${trashCount === 0 ? ' disabled' : ''}>Empty</button>
+        </div>
+        <div class="cleanup-row">
+            <span>Clear failed entries (${state.failedEntries.length} error card(s) and the failure history)</span>
+            <button type="button" class="btn btn-ghost btn-inline" data-storage-action="failed">Clear</button>
+        </div>
+    `;
+}
 
-    // Close dropdown when clicking outside
-    document.addEventListener('click', (e) => {
-        if (!elements.modelSelectContainer.contains(e.target)) {
-            elements.modelSelectContainer.classList.remove('open');
+async function handleStorageAction(e) {
+    const button = e.target.closest('[data-storage-action]');
+    if (!button) return;
+
+    const images = state.storageImages;
+    switch (button.dataset.storageAction) {
+        case 'persist':
+            await requestPersistentStorage({ notify: true });
+            break;
+        case 'older': {
+            const days = parseInt(document.getElementById('cleanupDays').value, 10);
+            if (!(days > 0)) {
+                showToast('Enter a number of days', 'warning');
+                return;
+            }
+            const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+            await bulkDeleteImages(images.filter(image => new Date(image.createdAt) < cutoff), `older than ${days} days`);
+            break;
         }
-    });
+        case 'model': {
+            const model = document.getElementById('cleanupModel').value;
+            await bulkDeleteImages(images.filter(image => image.model === model), `from ${model}`);
+            break;
+        }
+        case 'duplicates': {
+            const duplicates = findDuplicateImageIds(images);
+            await bulkDeleteImages(images.filter(image => duplicates.has(image.id)), 'that are duplicates');
+            break;
+        }
+        case 'trash':
+            if (!confirm('Delete every image in the trash forever? This cannot be undone.')) return;
+            await purgeTrash(null);
+            break;
+        case 'failed':
+            await clearFailedEntries();
+            break;
+    }
 
-    // Size toggle buttons
-    document.querySelectorAll('.btn-toggle').forEach(btn => {
-        btn.addEventListener('click', () => {
-            document.querySelectorAll('.btn-toggle').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            state.imageSize = btn.dataset.size;
-            state.imageQuality = btn.dataset.quality;
-            localStorage.setItem('imagen_size', state.imageSize);
-            localStorage.setItem('imagen_quality', state.imageQuality);
-        });
-    });
+    renderStorageSummary();
+    openStorageManager();
+}
 
-    // Aspect ratio buttons
-    document.querySelectorAll('.btn-aspect').forEach(btn => {
-        btn.addEventListener('click', () => {
-            document.querySelectorAll('.btn-aspect').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            state.aspectRatio = btn.dataset.ratio;
-            localStorage.setItem('imagen_aspect_ratio', state.aspectRatio);
-        });
+async function bulkDeleteImages(matches, description) {
+    if (matches.length === 0) {
+        showToast(`No images ${description}`, 'info');
+        return;
+    }
+    if (!confirm(`Move ${matches.length} image(s) ${description} to the trash? Empty the trash to free their space.`)) return;
+    await moveImagesToTrash(matches.map(image => image.id));
+}
+
+function removeImageCards(ids) {
+    ids.forEach(id => {
+        const card = elements.gallery.querySelector(`.image-card[data-image-id="${id}"]`);
+        if (card) {
+            galleryCardObserver?.unobserve(card);
+            card.remove();
+        }
     });
 
-    // Image count
-    if (elements.decreaseCount) {
-        elements.decreaseCount.addEventListener('click', () => {
-            if (state.imageCount > 1) {
-                state.imageCount--;
-                elements.imageCount.value = state.imageCount;
-                localStorage.setItem('imagen_count', state.imageCount);
-            }
-        });
+    // With no rendered card left to anchor the window to, start again from the top
+    if (getLiveImageCards().length === 0 && state.images.length > 0) {
+        renderGallery();
+        return;
     }
+    updateGalleryWindow();
+}
 
-    if (elements.increaseCount) {
-        elements.increaseCount.addEventListener('click', () => {
-            if (state.imageCount < 8) {
-                state.imageCount++;
-                elements.imageCount.value = state.imageCount;
-                localStorage.setItem('imagen_count', state.imageCount);
-            }
-        });
+async function clearFailedEntries() {
+    if (!confirm('Remove all error cards and clear the failure history?')) return;
+    [...state.failedEntries].forEach(dismissFailedEntry);
+    try {
+        await ImagenDB.clearFailures();
+    } catch (e) {
+        console.warn('Could not clear failure history:', e);
     }
+    showToast('Failed entries cleared', 'success');
+}
 
-    if (elements.imageCount) {
-        elements.imageCount.addEventListener('change', (e) => {
-            let val = parseInt(e.target.value);
-            if (isNaN(val) || val < 1) val = 1;
-            if (val > 8) val = 8;
-            state.imageCount = val;
-            elements.imageCount.value = val;
-            localStorage.setItem('imagen_count', state.imageCount);
-        });
+function formatBytes(bytes) {
+    if (bytes == null) return '';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
     }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
 
-    // API Key
-    elements.saveApiKey.addEventListener('click', () => {
-        state.apiKey = elements.apiKey.value.trim();
-        localStorage.setItem('imagen_api_key', state.apiKey);
-        showToast('API key saved!', 'success');
-    });
+// ===== Trash =====
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-    // Reference images are handled by renderReferenceSlots()
-    elements.clearReferences.addEventListener('click', clearAllReferences);
+/**
+ * Deletes images by moving them to the trash, then takes them out of the gallery.
+ * The toast offers Undo, which puts them straight back.
+ */
+async function moveImagesToTrash(ids, message = null) {
+    let moved = [];
+    try {
+        moved = await ImagenDB.trashImages(ids);
+    } catch (error) {
+        console.error('Could not move images to the trash:', error);
+        showToast('Could not delete images', 'error');
+        return [];
+    }
 
-    // Drag & Drop for reference images
-    setupDragAndDrop();
+    // Images that never made it into IndexedDB have nothing to restore, but still leave the view
+    removeImagesFromGallery(ids);
+    const movedIds = moved.map(image => image.id);
+    showToast(message || `Moved ${movedIds.length} image(s) to the trash`, 'success', movedIds.length > 0 ? {
+        label: 'Undo',
+        onClick: () => restoreTrashedImages(movedIds)
+    } : null);
+    return movedIds;
+}
 
-    // Prompt input
-    elements.promptInput.addEventListener('input', () => {
-        elements.charCount.textContent = `${elements.promptInput.value.length} chars`;
+// Takes an image that no longer matches the project or filters out of the view; unlike
+// removeImagesFromGallery it stays selected and its blob URLs stay valid for the open modal
+function hideImageFromView(image) {
+    state.images = state.images.filter(img => img.id !== image.id);
+    state.galleryFilterIds?.delete(image.id);
+    removeImageCards([image.id]);
+    renderFilterStatus();
+    if (state.images.length === 0) {
+        renderGallery();
+        loadMoreImages();
+    }
+}
+
+function removeImagesFromGallery(ids) {
+    const removed = new Set(ids);
+    state.images = state.images.filter(image => !removed.has(image.id));
+    state.unsavedImages = state.unsavedImages.filter(image => !removed.has(image.id));
+    ids.forEach(id => {
+        revokeBlobUrls(id);
+        state.selectedImageIds.delete(id);
+        state.galleryFilterIds?.delete(id);
     });
+    removeImageCards(ids);
+    renderSelection();
+    renderFilterStatus();
+    if (state.images.length === 0) {
+        renderGallery();
+        loadMoreImages();
+    }
+}
 
-    // Generate button
-    elements.generateBtn.addEventListener('click', generateImages);
+async function restoreTrashedImages(ids) {
+    let restored = [];
+    try {
+        restored = await ImagenDB.restoreFromTrash(ids);
+    } catch (error) {
+        console.error('Could not restore images:', error);
+        showToast('Could not restore images', 'error');
+        return;
+    }
+    insertRestoredImages(restored);
+    showToast(`Restored ${restored.length} image(s)`, 'success');
+}
 
-    // Clear gallery
-    elements.clearGallery.addEventListener('click', async () => {
-        if (confirm('Are you sure you want to clear all generated images?')) {
-            state.images = [];
-            try {
-                await ImagenDB.clearAll();
-            } catch (e) {
-                console.warn('Could not clear IndexedDB:', e);
-            }
-            renderGallery();
-            showToast('Gallery cleared', 'success');
-        }
-    });
+// Puts restored images back in the gallery if they fall within the pages already loaded
+function insertRestoredImages(images) {
+    const matching = images.filter(image => imageMatchesFilter(image));
+    if (state.galleryFilterIds) {
+        matching.forEach(image => state.galleryFilterIds.add(image.id));
+    }
 
-    // Modal
-    elements.modalOverlay.addEventListener('click', closeModal);
-    elements.modalClose.addEventListener('click', closeModal);
-    elements.useAsReference.addEventListener('click', useImageAsReference);
-    elements.recreateImage.addEventListener('click', recreateImage);
-    elements.downloadImage.addEventListener('click', downloadCurrentImage);
+    // Older ones are left for paging to load in order
+    const oldestLoaded = state.galleryCursor?.createdAt;
+    const visible = state.galleryHasMore
+        ? matching.filter(image => oldestLoaded && image.createdAt >= oldestLoaded)
+        : matching;
+    const loadedIds = new Set(state.images.map(image => image.id));
+    state.images = [...state.images, ...visible.filter(image => !loadedIds.has(image.id))]
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-    // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') closeModal();
-        if (e.key === 'Enter' && e.ctrlKey) generateImages();
-    });
+    renderGallery();
+    renderFilterStatus();
+    renderStorageSummary();
+}
+
+// Trashed images older than the retention period are deleted for good on startup
+async function purgeExpiredTrash() {
+    const cutoff = new Date(Date.now() - state.trashDays * DAY_MS).toISOString();
+    try {
+        await ImagenDB.purgeTrashWhere(image => image.deletedAt < cutoff, getInUseBlobIds());
+    } catch (error) {
+        console.warn('Could not purge expired trash:', error);
+    }
+}
+
+async function openTrash() {
+    let images = [];
+    try {
+        images = await ImagenDB.getAllTrash();
+    } catch (error) {
+        console.warn('Could not load trash:', error);
+    }
+    renderTrash(images);
+    elements.trashModal.classList.add('active');
+}
+
+function renderTrash(images) {
+    const list = images.length === 0
+        ? '<p class="panel-empty">The trash is empty.</p>'
+        : `
+            <table class="panel-table">
+                <thead><tr><th></th><th>Prompt</th><th>Deleted</th><th></th></tr></thead>
+                <tbody>
+                    ${images.map(image => {
+                        const expiresAt = new Date(new Date(image.deletedAt).getTime() + state.trashDays * DAY_MS);
+                        const daysLeft = Math.max(0, Math.ceil((expiresAt - Date.now()) / DAY_MS));
+                        return `
+                            <tr>
+                                <td>${image.thumbnail ? `<img class="trash-thumb" src="${getBlobUrl(`thumb-${image.id}`, image.thumbnail)}" alt="">` : ''}</td>
+                                <td class="panel-prompt">
+                                    ${escapeHtml(image.prompt)}
+                                    <div class="panel-muted">${escapeHtml(image.modelName || image.model)}</div>
+                                </td>
+                                <td>
+                                    ${escapeHtml(new Date(image.deletedAt).toLocaleString())}
+                                    <div class="panel-muted">Deleted for good in ${daysLeft} day(s)</div>
+                                </td>
+                                <td class="trash-actions">
+                                    <button type="button" class="btn btn-ghost btn-inline" data-trash-action="restore" data-image-id="${escapeHtml(image.id)}">Restore</button>
+                                    <button type="button" class="btn btn-ghost btn-inline" data-trash-action="purge" data-image-id="${escapeHtml(image.id)}">Delete Forever</button>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
 
-    // Paste images from clipboard
-    document.addEventListener('paste', handlePaste);
+    state.trashImages = images;
+    elements.trashContent.innerHTML = `
+        <div class="cleanup-row">
+            <span>Keep deleted images for</span>
+            <input type="number" class="number-input cleanup-input" id="trashDays" value="${state.trashDays}" min="1">
+            <span>days</span>
+        </div>
+        ${list}
+        ${images.length > 0 ? `
+            <div class="panel-actions">
+                <button type="button" class="btn btn-ghost" data-trash-action="restore-all">Restore All</button>
+                <button type="button" class="btn btn-ghost" data-trash-action="empty">Empty Trash</button>
+            </div>
+        ` : ''}
+    `;
+}
 
-    // Warn user before leaving if there are pending generations
-    window.addEventListener('beforeunload', (e) => {
-        if (state.pendingBatches.length > 0) {
-            const pendingCount = state.pendingBatches.reduce((sum, batch) => {
-                return sum + (batch.count - batch.completed - batch.failed);
-            }, 0);
-            if (pendingCount > 0) {
-                e.preventDefault();
-                // Modern browsers ignore custom messages, but we need to return something
-                e.returnValue = `You have ${pendingCount} image(s) still generating. If you leave, they will be lost.`;
-                return e.returnValue;
-            }
-        }
-    });
+async function handleTrashAction(e) {
+    const button = e.target.closest('[data-trash-action]');
+    if (!button) return;
+
+    const image = state.trashImages.find(img => String(img.id) === button.dataset.imageId);
+    switch (button.dataset.trashAction) {
+        case 'restore':
+            if (image) await restoreTrashedImages([image.id]);
+            break;
+        case 'restore-all':
+            await restoreTrashedImages(state.trashImages.map(img => img.id));
+            break;
+        case 'purge':
+            if (!image || !confirm('Delete this image forever? This cannot be undone.')) return;
+            await purgeTrash(new Set([image.id]));
+            break;
+        case 'empty':
+            if (!confirm(`Delete all ${state.trashImages.length} image(s) in the trash forever? This cannot be undone.`)) return;
+            await purgeTrash(null);
+            break;
+    }
+    openTrash();
 }
 
-// ===== Paste Handler =====
-function handlePaste(e) {
-    // Don't intercept paste if user is typing in an input field (except prompt)
-    const activeEl = document.activeElement;
-    if (activeEl && activeEl.tagName === 'INPUT' && activeEl.type !== 'text') {
-        return;
+// Permanently deletes the given trashed IDs (or everything in the trash when null)
+async function purgeTrash(ids) {
+    try {
+        const deletedIds = await ImagenDB.purgeTrashWhere(image => !ids || ids.has(image.id), getInUseBlobIds());
+        deletedIds.forEach(id => revokeBlobUrls(id));
+        showToast(`Deleted ${deletedIds.length} image(s) forever`, 'success');
+    } catch (error) {
+        console.error('Could not empty the trash:', error);
+        showToast('Could not empty the trash', 'error');
     }
+    renderStorageSummary();
+}
 
-    const items = e.clipboardData?.items;
-    if (!items) return;
+function handleTrashDaysChange(e) {
+    const days = parseInt(e.target.value, 10);
+    state.trashDays = days > 0 ? days : DEFAULT_TRASH_DAYS;
+    e.target.value = state.trashDays;
+    localStorage.setItem('imagen_trash_days', state.trashDays);
+    renderTrash(state.trashImages);
+}
 
-    let imageCount = 0;
-    for (const item of items) {
-        if (item.type.startsWith('image/')) {
-            e.preventDefault();
-            const file = item.getAsFile();
-            if (file) {
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    state.references.push(event.target.result);
-                    renderReferenceSlots();
-                };
-                reader.readAsDataURL(file);
-                imageCount++;
+// ===== ZIP Archives =====
+// Just enough of the ZIP format for library export/import. Images are already
+// compressed, so entries are written uncompressed (STORE).
+const ZIP_MAX_ENTRIES = 0xffff; // Without ZIP64, entry counts are 16-bit and offsets 32-bit
+const ZIP_MAX_SIZE = 0xffffffff;
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
             }
+            crc32Table[n] = c;
         }
     }
-
-    if (imageCount > 0) {
-        showToast(`${imageCount} image(s) pasted as reference`, 'success');
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
     }
+    return (crc ^ 0xffffffff) >>> 0;
 }
 
-// ===== Drag & Drop =====
-function setupDragAndDrop() {
-    const dropZone = elements.referenceSlots;
+// ZIP stores local time with two-second precision and no dates before 1980
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
 
-    ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
-        dropZone.addEventListener(eventName, preventDefaults, false);
-        document.body.addEventListener(eventName, preventDefaults, false);
-    });
+/**
+ * Builds a ZIP Blob from [{ name, data, date }], where data is a Blob or a string.
+ * File bytes are passed through as Blobs, so a large export is never copied into one buffer.
+ */
+async function createZip(files) {
+    if (files.length > ZIP_MAX_ENTRIES) {
+        throw new Error(`Too many files for one archive (${files.length})`);
+    }
 
-    function preventDefaults(e) {
-        e.preventDefault();
-        e.stopPropagation();
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const data = typeof file.data === 'string' ? new Blob([file.data]) : file.data;
+        const name = encoder.encode(file.name);
+        const crc = crc32(new Uint8Array(await data.arrayBuffer()));
+        const { time, date } = toDosDateTime(file.date || new Date());
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true); // Version needed to extract
+        header.setUint16(6, 0x0800, true); // Names are UTF-8
+        header.setUint16(8, 0, true); // STORE
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.size, true);
+        header.setUint32(22, data.size, true);
+        header.setUint16(26, name.length, true);
+        parts.push(header, name, data);
+
+        directory.push({ name, crc, size: data.size, time, date, offset });
+        offset += 30 + name.length + data.size;
+        if (offset > ZIP_MAX_SIZE) {
+            throw new Error('Archive would be larger than 4 GB');
+        }
     }
 
-    ['dragenter', 'dragover'].forEach(eventName => {
-        dropZone.addEventListener(eventName, () => {
-            dropZone.classList.add('drag-over');
-        }, false);
+    let directorySize = 0;
+    directory.forEach(entry => {
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, 0x02014b50, true);
+        record.setUint16(4, 20, true); // Version made by
+        record.setUint16(6, 20, true);
+        record.setUint16(8, 0x0800, true);
+        record.setUint16(10, 0, true);
+        record.setUint16(12, entry.time, true);
+        record.setUint16(14, entry.date, true);
+        record.setUint32(16, entry.crc, true);
+        record.setUint32(20, entry.size, true);
+        record.setUint32(24, entry.size, true);
+        record.setUint16(28, entry.name.length, true);
+        record.setUint32(42, entry.offset, true);
+        parts.push(record, entry.name);
+        directorySize += 46 + entry.name.length;
     });
 
-    ['dragleave', 'drop'].forEach(eventName => {
-        dropZone.addEventListener(eventName, () => {
-            dropZone.classList.remove('drag-over');
-        }, false);
-    });
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, directory.length, true);
+    end.setUint16(10, directory.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    parts.push(end);
 
-    dropZone.addEventListener('drop', handleDrop, false);
+    return new Blob(parts, { type: 'application/zip' });
 }
 
-function handleDrop(e) {
-    const dt = e.dataTransfer;
-    const files = dt.files;
-
-    [...files].forEach(file => {
-        if (file.type.startsWith('image/')) {
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                state.references.push(event.target.result);
-                renderReferenceSlots();
-            };
-            reader.readAsDataURL(file);
+/**
+ * Lists a ZIP Blob's files as a Map of name -> { size, read() }, where read()
+ * resolves to the file's Blob. Besides our own STORE entries, DEFLATE entries
+ * (an archive re-zipped by another tool) are read where the browser can inflate them.
+ */
+async function readZip(blob) {
+    // The end record is the last 22 bytes, unless an archive comment (up to 64 KB) follows it
+    const tailStart = Math.max(0, blob.size - 22 - 0xffff);
+    const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+    let end = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
         }
-    });
+    }
+    if (end === -1) {
+        throw new Error('Not a ZIP archive');
+    }
 
-    if (files.length > 0) {
-        showToast(`${files.length} image(s) added as reference`, 'success');
+    const count = tail.getUint16(end + 10, true);
+    const directorySize = tail.getUint32(end + 12, true);
+    const directoryOffset = tail.getUint32(end + 16, true);
+    const directory = new DataView(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    let pos = 0;
+    for (let i = 0; i < count; i++) {
+        if (pos + 46 > directory.byteLength || directory.getUint32(pos, true) !== 0x02014b50) {
+            throw new Error('ZIP directory is damaged');
+        }
+        const method = directory.getUint16(pos + 10, true);
+        const compressedSize = directory.getUint32(pos + 20, true);
+        const size = directory.getUint32(pos + 24, true);
+        const nameLength = directory.getUint16(pos + 28, true);
+        const extraLength = directory.getUint16(pos + 30, true);
+        const commentLength = directory.getUint16(pos + 32, true);
+        const headerOffset = directory.getUint32(pos + 42, true);
+        const name = decoder.decode(new Uint8Array(directory.buffer, pos + 46, nameLength));
+        pos += 46 + nameLength + extraLength + commentLength;
+
+        entries.set(name, { size, read: () => readZipEntry(blob, headerOffset, method, compressedSize) });
     }
+    return entries;
 }
 
-// ===== Reference Image Handling =====
-function handleReferenceUpload(e) {
-    const file = e.target.files[0];
-    if (!file) return;
-
-    const reader = new FileReader();
-    reader.onload = (event) => {
-        state.references.push(event.target.result);
-        renderReferenceSlots();
-    };
-    reader.readAsDataURL(file);
+async function readZipEntry(blob, headerOffset, method, compressedSize) {
+    // Name and extra field lengths in the local header can differ from the directory's copy
+    const header = new DataView(await blob.slice(headerOffset, headerOffset + 30).arrayBuffer());
+    if (header.getUint32(0, true) !== 0x04034b50) {
+        throw new Error('ZIP entry is damaged');
+    }
+    const start = headerOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+    const data = blob.slice(start, start + compressedSize);
 
-    // Reset the input so the same file can be selected again
-    e.target.value = '';
+    if (method === 0) {
+        return data;
+    }
+    if (method === 8 && typeof DecompressionStream !== 'undefined') {
+        return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+    }
+    throw new Error(`Unsupported ZIP compression method ${method}`);
 }
 
-function renderReferenceSlots() {
-    const container = document.getElementById('referenceSlots');
-    container.innerHTML = '';
+// ===== Export & Import =====
+const EXPORT_FORMAT = 'imagen-library';
+const EXPORT_VERSION = 1;
+// Derived or session-only fields; thumbnails and prompt words are rebuilt on import
+const EXPORT_OMITTED_FIELDS = ['thumbnail', 'promptWords', 'unsaved', 'url'];
 
-    // Render existing references
-    state.references.forEach((ref, index) => {
-        const slot = document.createElement('div');
-        slot.className = 'reference-slot filled';
-        slot.dataset.slot = index;
-        slot.innerHTML = `
-            <img src="${ref}" alt="Reference ${index + 1}">
-            <button class="remove-ref" data-index="${index}">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                    <line x1="18" y1="6" x2="6" y2="18"></line>
-                    <line x1="6" y1="6" x2="18" y2="18"></line>
-                </svg>
-            </button>
-        `;
-        container.appendChild(slot);
-    });
+async function openExportDialog() {
+    let total = 0;
+    let viewCount = null;
+    try {
+        total = (await ImagenDB.getImageIdsByIndex('createdAt')).size;
+        if (isGalleryFiltered() || state.activeProjectId) {
+            viewCount = (await findFilteredImageIds(state.galleryFilter))?.size ?? total;
+        }
+    } catch (error) {
+        console.warn('Could not count images for export:', error);
+    }
 
-    // Add "Add new" slot
-    const addSlot = document.createElement('div');
-    addSlot.className = 'reference-slot empty add-new';
-    addSlot.innerHTML = `
-        <span class="slot-label">+ Add</span>
-        <input type="file" accept="image/*" class="reference-input" id="addReferenceInput">
+    const project = getActiveProject();
+    const selectedCount = state.selectedImageIds.size;
+    elements.exportDetailsContent.innerHTML = `
+        <h3 class="panel-section-title">Export</h3>
+        <label class="export-option">
+            <input type="radio" name="exportScope" value="all" checked>
+            <span>Whole gallery (${total})</span>
+        </label>
+        ${viewCount !== null ? `
+            <label class="export-option">
+                <input type="radio" name="exportScope" value="view">
+                <span>Current view${project ? ` in ${escapeHtml(project.name)}` : ''} (${viewCount})</span>
+            </label>
+        ` : ''}
+        <label class="export-option">
+            <input type="radio" name="exportScope" value="range">
+            <span>Created between</span>
+            <input type="date" class="filter-select" id="exportFrom" value="${escapeHtml(state.galleryFilter.from || '')}">
+            <span>and</span>
+            <input type="date" class="filter-select" id="exportTo" value="${escapeHtml(state.galleryFilter.to || '')}">
+        </label>
+        <label class="export-option">
+            <input type="radio" name="exportScope" value="selected"${selectedCount === 0 ? ' disabled' : ''}>
+            <span>Selected images (${selectedCount})</span>
+            ${selectedCount > 0 ? '<button type="button" class="btn btn-ghost btn-inline" data-export-action="clear-selection">Clear selection</button>' : ''}
+        </label>
+        <p class="panel-muted">Tick the checkbox on any gallery card to pick images by hand (Shift-click selects a range, Ctrl+A everything in view).</p>
+        <div class="panel-actions">
+            <button type="button" class="btn btn-secondary" data-export-action="export">Export ZIP</button>
+        </div>
+
+        <h3 class="panel-section-title">Import</h3>
+        <div class="cleanup-row">
+            <span>Merge an exported ZIP into this library. Images it already has (same ID or identical file) are skipped.</span>
+            <button type="button" class="btn btn-ghost btn-inline" data-export-action="import">Choose File</button>
+        </div>
     `;
-    container.appendChild(addSlot);
+    elements.exportModal.classList.add('active');
+}
 
-    // Attach event listeners
-    container.querySelectorAll('.remove-ref').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            const index = parseInt(btn.dataset.index);
-            removeReference(index);
-        });
-    });
+async function handleExportAction(e) {
+    const button = e.target.closest('[data-export-action]');
+    if (!button) return;
 
-    const addInput = container.querySelector('#addReferenceInput');
-    if (addInput) {
-        addInput.addEventListener('change', handleReferenceUpload);
+    switch (button.dataset.exportAction) {
+        case 'export': {
+            const scope = elements.exportDetailsContent.querySelector('[name="exportScope"]:checked').value;
+            button.disabled = true;
+            try {
+                const images = await ImagenDB.getImagesByIds(await getExportImageIds(scope));
+                await exportImagesZip(images);
+            } catch (error) {
+                console.error('Export failed:', error);
+                showToast(`Export failed: ${error.message}`, 'error');
+            }
+            button.disabled = false;
+            break;
+        }
+        case 'clear-selection':
+            clearImageSelection();
+            openExportDialog();
+            break;
+        case 'import':
+            elements.importFileInput.click();
+            break;
     }
 }
 
-function removeReference(index) {
-    state.references.splice(index, 1);
-    renderReferenceSlots();
+async function getExportImageIds(scope) {
+    switch (scope) {
+        case 'view':
+            return (await findFilteredImageIds(state.galleryFilter)) || ImagenDB.getImageIdsByIndex('createdAt');
+        case 'range': {
+            const from = document.getElementById('exportFrom').value;
+            const to = document.getElementById('exportTo').value;
+            return (await findFilteredImageIds({ from, to }, null)) || ImagenDB.getImageIdsByIndex('createdAt');
+        }
+        case 'selected':
+            return state.selectedImageIds;
+        default:
+            return ImagenDB.getImageIdsByIndex('createdAt');
+    }
 }
 
-function clearAllReferences() {
-    state.references = [];
-    renderReferenceSlots();
-    showToast('References cleared', 'success');
-}
+/**
+ * Downloads `images` as a ZIP (files are exported byte-for-byte, without embedded metadata,
+ * so content hashes still match on import): each image file, the bytes of any references that
+ * aren't in the export themselves, and a manifest.json with every image's metadata
+ * and the projects they belong to.
+ */
+async function exportImagesZip(images) {
+    if (images.length === 0) {
+        showToast('No images to export', 'info');
+        return;
+    }
+    showToast(`Exporting ${images.length} image(s)...`, 'info');
 
-// ===== Image Generation =====
-async function generateImages() {
-    const prompt = elements.promptInput.value.trim();
+    const files = [];
+    const manifestImages = [];
+    const exportedIds = new Set();
+    let missing = 0;
 
-    if (!prompt) {
-        showToast('Please enter a prompt', 'warning');
-        return;
+    for (const image of images) {
+        let blob = null;
+        try {
+            blob = await getImageBlob(image);
+        } catch (error) {
+            console.warn('Could not read image for export:', image.id, error);
+        }
+        if (!blob) {
+            missing++;
+            continue;
+        }
+
+        const meta = Object.fromEntries(Object.entries(image).filter(([key]) => !EXPORT_OMITTED_FIELDS.includes(key)));
+        const mimeType = image.mimeType || blob.type || 'image/png';
+        const file = `images/${image.id}.${getImageFileExtension({ ...image, mimeType })}`;
+        files.push({ name: file, data: blob, date: new Date(image.createdAt) });
+        manifestImages.push({ ...meta, mimeType, file });
+        exportedIds.add(image.id);
     }
 
-    if (!state.apiKey) {
-        showToast('Please enter your OpenRouter API key', 'error');
-        return;
+    // Projects of the exported images, and every reference they or those projects point at
+    const projectIds = new Set(manifestImages.flatMap(image => image.projectIds || []));
+    const projects = state.projects.filter(project => projectIds.has(project.id));
+    const referenceIds = new Set([
+        ...manifestImages.flatMap(image => image.referenceIds || []),
+        ...projects.flatMap(project => project.referenceIds || [])
+    ].filter(id => !exportedIds.has(id)));
+
+    const references = [];
+    for (const id of referenceIds) {
+        const record = await ImagenDB.getBlob(id).catch(() => null);
+        if (!record) continue;
+        const mimeType = record.blob.type || 'image/png';
+        const file = `references/${id}.${getImageFileExtension({ mimeType })}`;
+        files.push({ name: file, data: record.blob });
+        references.push({ id, file, mimeType, hash: record.hash || null });
     }
 
-    const modelConfig = MODEL_CONFIGS[state.selectedModel];
-    const currentReferences = state.references.length > 0 ? [...state.references] : [];
-    const currentModel = state.selectedModel;
-    const currentSize = state.imageSize;
-    const currentQuality = state.imageQuality;
-    const currentAspectRatio = state.aspectRatio;
-    const imageCount = state.imageCount;
-    
-    // Create a batch to track this generation request
-    const batchId = Date.now() + Math.random();
-    const batch = {
-        id: batchId,
-        prompt: prompt,
-        model: currentModel,
-        modelName: modelConfig.name,
-        count: imageCount,
-        completed: 0,
-        failed: 0
+    const manifest = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        images: manifestImages,
+        references,
+        projects,
+        // The prompt library travels with every export, whatever the image scope
+        prompts: state.promptHistory,
+        snippets: state.snippets
     };
-    state.pendingBatches.push(batch);
-    
-    // Add loading placeholders without full re-render
-    addLoadingPlaceholders(batch, imageCount);
-    
-    showToast(`Queued ${imageCount} image(s) for generation`, 'success');
+    files.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+    downloadBlob(await createZip(files), `imagen-export-${new Date().toISOString().slice(0, 10)}.zip`);
+
+    const note = missing > 0 ? ` (${missing} could not be read and were left out)` : '';
+    showToast(`Exported ${manifestImages.length} image(s)${note}`, missing > 0 ? 'warning' : 'success');
+}
+
+async function readManifestFile(entries, item) {
+    const entry = entries.get(item.file);
+    if (!entry) {
+        throw new Error(`${item.file} is missing from the archive`);
+    }
+    const data = await entry.read();
+    return data.slice(0, data.size, item.mimeType || 'image/png');
+}
+
+// The ID under which this library already holds an image: the same ID, or failing that the same bytes
+async function findExistingImageId(id, hash) {
+    if (id != null && await ImagenDB.getImage(id)) return id;
+    if (!hash) return null;
+    const [existingId] = await ImagenDB.getImageIdsByIndex('hash', IDBKeyRange.only(hash));
+    return existingId ?? null;
+}
+
+/**
+ * Merges an exported archive into the library. Images already present (by ID or
+ * content hash) are skipped and references are re-pointed at the copy that's here,
+ * so importing the same archive twice, or one that overlaps, adds nothing twice.
+ */
+async function importLibraryZip(archive) {
+    let entries;
+    let manifest;
+    try {
+        entries = await readZip(archive);
+        const manifestEntry = entries.get('manifest.json');
+        if (!manifestEntry) {
+            throw new Error('manifest.json is missing');
+        }
+        manifest = JSON.parse(await (await manifestEntry.read()).text());
+        if (manifest.format !== EXPORT_FORMAT || !Array.isArray(manifest.images)) {
+            throw new Error('not an Imagen library export');
+        }
+        if (manifest.version > EXPORT_VERSION) {
+            throw new Error('it was made by a newer version of Imagen');
+        }
+    } catch (error) {
+        console.error('Import failed:', error);
+        showToast(`Could not import ${archive.name}: ${error.message}`, 'error');
+        return;
+    }
+
+    showToast(`Importing ${manifest.images.length} image(s)...`, 'info');
 
-    // Generate images and display each one as it completes
-    const generateAndDisplay = async (index) => {
+    // Archive ID -> ID in this library
+    const idMap = new Map();
+    const hashes = new Map();
+    const staged = [];
+    let skipped = 0;
+    let failed = 0;
+
+    // Pass 1: match each image against the library (and earlier entries of the same archive)
+    for (const item of manifest.images) {
         try {
-            const result = await generateSingleImage(prompt, modelConfig);
-            if (result) {
-                const imageData = {
-                    id: Date.now() + index + Math.random(),
-                    url: result,
-                    prompt: prompt,
-                    model: currentModel,
-                    modelName: modelConfig.name,
-                    size: currentSize,
-                    quality: currentQuality,
-                    aspectRatio: currentAspectRatio,
-                    references: currentReferences,
-                    createdAt: new Date().toISOString()
-                };
-                state.images.unshift(imageData);
-                batch.completed++;
-                
-                // Remove one placeholder and add the new image
-                removeOnePlaceholder(batchId);
-                prependImageCard(imageData, 0);
-                
-                // Save to IndexedDB in background
-                ImagenDB.saveImage(imageData).catch(e => console.error('Failed to save to IndexedDB:', e));
-            } else {
-                batch.failed++;
-                removeOnePlaceholder(batchId);
+            const blob = await readManifestFile(entries, item);
+            const hash = await hashBlob(blob);
+            // A project copy has its original's bytes on purpose, so only its own ID marks it as already here
+            const isCopy = item.blobId != null;
+            const existingId = isCopy
+                ? await findExistingImageId(item.id, null)
+                : (hash && hashes.get(hash)) ?? await findExistingImageId(item.id, hash);
+            if (existingId != null) {
+                idMap.set(item.id, existingId);
+                skipped++;
+                continue;
             }
+            if (hash && !isCopy) hashes.set(hash, item.id);
+            idMap.set(item.id, item.id);
+            staged.push({ item, blob });
         } catch (error) {
-            console.error('Failed to generate image:', error);
-            batch.failed++;
-            removeOnePlaceholder(batchId);
+            console.warn('Could not import image:', item.id, error);
+            failed++;
         }
-    };
+    }
 
-    // Start all generations in parallel, each will render when done
-    const promises = [];
-    for (let i = 0; i < imageCount; i++) {
-        promises.push(generateAndDisplay(i));
+    // Pass 2: references that weren't exported as images reuse a matching image or blob, or are stored once
+    for (const ref of manifest.references || []) {
+        if (idMap.has(ref.id)) continue;
+        try {
+            if (await ImagenDB.getBlob(ref.id)) {
+                idMap.set(ref.id, ref.id);
+                continue;
+            }
+            const blob = await readManifestFile(entries, ref);
+            const hash = await hashBlob(blob);
+            idMap.set(ref.id, (hash && hashes.get(hash)) ?? await findExistingImageId(null, hash) ?? await saveReferenceBlob(blob, hash));
+        } catch (error) {
+            console.warn('Could not import reference:', ref.id, error);
+        }
     }
 
-    // Wait for all to complete to update final UI state
-    await Promise.allSettled(promises);
+    // Pass 3: projects the library doesn't have yet
+    for (const project of manifest.projects || []) {
+        if (state.projects.some(p => p.id === project.id)) continue;
+        try {
+            await ImagenDB.saveProject({
+                ...project,
+                referenceIds: (project.referenceIds || []).map(id => idMap.get(id)).filter(id => id != null)
+            });
+        } catch (error) {
+            console.warn('Could not import project:', project.id, error);
+        }
+    }
+    try {
+        state.projects = await ImagenDB.getAllProjects();
+    } catch (error) {
+        console.warn('Failed to reload projects:', error);
+    }
+    const projectIds = new Set(state.projects.map(project => project.id));
 
-    // Remove this batch from pending
-    const batchIndex = state.pendingBatches.findIndex(b => b.id === batchId);
-    if (batchIndex !== -1) {
-        state.pendingBatches.splice(batchIndex, 1);
+    // Pass 4: save the new images with references re-pointed at this library's IDs
+    let imported = 0;
+    for (const { item, blob } of staged) {
+        try {
+            // Imported copies keep their own bytes rather than relinking to an original that may not have come across
+            const { file, blobId, ...meta } = item;
+            const { blobRecord, fields } = await prepareImageBlob(item.id, blob);
+            // Lineage only links to images; a parent that came across as a plain reference drops out
+            const parentIds = (meta.parentIds || getImageParentIds(meta)).map(id => idMap.get(id)).filter(isImageId);
+            const parentImageId = idMap.get(meta.parentImageId);
+            await ImagenDB.saveImage({
+                ...meta,
+                ...fields,
+                referenceIds: (meta.referenceIds || []).map(id => idMap.get(id)).filter(id => id != null),
+                parentIds,
+                parentImageId: isImageId(parentImageId) ? parentImageId : null,
+                projectIds: (meta.projectIds || []).filter(id => projectIds.has(id)),
+                favorite: meta.favorite ? 1 : 0,
+                rating: meta.rating || 0,
+                tags: meta.tags || []
+            }, blobRecord);
+            imported++;
+        } catch (error) {
+            console.error('Could not save imported image:', item.id, error);
+            failed++;
+        }
     }
 
-    if (batch.completed > 0) {
-        showToast(`${batch.completed} image(s) generated!`, 'success');
-    } else {
-        showToast('Failed to generate images. Check console for details.', 'error');
+    // Pass 5: prompt history and snippets, merged with what's already here
+    await importPromptLibrary(manifest.prompts || [], manifest.snippets || []);
+
+    renderProjectSelect();
+    await applyGalleryFilter(state.galleryFilter);
+    renderFilterOptions();
+    renderStorageSummary();
+
+    const notes = [];
+    if (skipped > 0) notes.push(`${skipped} already in the library`);
+    if (failed > 0) notes.push(`${failed} failed`);
+    showToast(`Imported ${imported} image(s)${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`, failed > 0 ? 'warning' : 'success');
+}
+
+// Keeps the star, highest use count and latest use of prompts both sides have; skips snippets already here
+async function importPromptLibrary(prompts, snippets) {
+    try {
+        for (const item of prompts) {
+            if (typeof item.text !== 'string' || !item.text) continue;
+            const existing = state.promptHistory.find(entry => entry.text === item.text);
+            await ImagenDB.savePrompt({
+                text: item.text,
+                starred: existing?.starred || item.starred ? 1 : 0,
+                useCount: Math.max(existing?.useCount || 0, item.useCount || 0),
+                lastUsedAt: [existing?.lastUsedAt, item.lastUsedAt].filter(Boolean).sort().pop() || new Date().toISOString()
+            });
+        }
+        for (const item of snippets) {
+            const duplicate = state.snippets.some(snippet =>
+                snippet.id === item.id || (snippet.name === item.name && snippet.text === item.text)
+            );
+            if (duplicate || !item.name || !item.text) continue;
+            await ImagenDB.saveSnippet({ ...item, mode: SNIPPET_MODES[item.mode] ? item.mode : 'insert' });
+        }
+    } catch (error) {
+        console.warn('Could not import prompt library:', error);
     }
+    await loadPromptLibrary();
+    updateCostEstimate();
 }
 
-async function generateSingleImage(prompt, modelConfig) {
-    // Build message content
-    const content = [];
+// ===== Model Comparison =====
+const MIN_COMPARE_MODELS = 2;
 
-    // Add reference images if supported
-    if (modelConfig.supportsImageInput) {
-        state.references.forEach((ref, index) => {
-            if (ref) {
-                content.push({
-                    type: 'image_url',
-                    image_url: {
-                        url: ref,
-                        detail: 'high'
-                    }
-                });
-            }
-        });
-    }
+// Models a Generate click runs: the edit session's, the ticked ones in compare mode, otherwise the selected one
+function getGenerationModels() {
+    if (state.activeSession) return [state.activeSession.model];
+    if (!state.compareMode) return [state.selectedModel];
+    return state.compareModels.filter(model => MODEL_CONFIGS[model]);
+}
 
-    // Add text prompt
-    content.push({
-        type: 'text',
-        text: prompt
-    });
+function renderCompareModels() {
+    elements.compareMode.checked = state.compareMode;
+    elements.modelSelectContainer.style.display = state.compareMode ? 'none' : '';
+    elements.compareModelList.style.display = state.compareMode ? 'flex' : 'none';
+    elements.compareModelList.innerHTML = Object.entries(MODEL_CONFIGS).map(([modelId, config]) => `
+        <label class="compare-option">
+            <input type="checkbox" value="${escapeHtml(modelId)}"${state.compareModels.includes(modelId) ? ' checked' : ''}>
+            <span>${escapeHtml(config.name)}${config.supportsImageInput ? '' : ' <em>(no references)</em>'}</span>
+        </label>
+    `).join('');
+}
 
-    // Build request body
-    const requestBody = {
-        model: state.selectedModel,
-        messages: [
-            {
-                role: 'user',
-                content: content.length === 1 ? prompt : content
-            }
-        ],
-        modalities: modelConfig.modalities
-    };
+function handleCompareModeChange() {
+    state.compareMode = elements.compareMode.checked;
+    // Start from the selected model so ticking one more is enough to compare
+    if (state.compareMode && state.compareModels.length === 0) {
+        state.compareModels = [state.selectedModel];
+        localStorage.setItem('imagen_compare_models', JSON.stringify(state.compareModels));
+    }
+    localStorage.setItem('imagen_compare_mode', state.compareMode);
+    renderCompareModels();
+    updateGeminiOptionsVisibility();
+    updateCostEstimate();
+}
 
-    // Add Gemini-specific options
-    if (modelConfig.supportsImageSize && state.selectedModel.includes('gemini')) {
-        requestBody.image_config = {
-            image_size: state.imageQuality.toLowerCase(),
-            aspect_ratio: state.aspectRatio
-        };
+function handleCompareModelToggle(e) {
+    if (e.target.type !== 'checkbox') return;
+    const model = e.target.value;
+    state.compareModels = e.target.checked
+        ? [...state.compareModels.filter(id => id !== model), model]
+        : state.compareModels.filter(id => id !== model);
+    localStorage.setItem('imagen_compare_models', JSON.stringify(state.compareModels));
+    updateGeminiOptionsVisibility();
+    updateCostEstimate();
+}
+
+/**
+ * Fans one prompt out to every ticked model as separate batches sharing a compareId,
+ * then shows their results side by side above the gallery.
+ */
+async function generateComparison(prompt) {
+    const models = getGenerationModels();
+    if (models.length < MIN_COMPARE_MODELS) {
+        showToast(`Tick at least ${MIN_COMPARE_MODELS} models to compare`, 'warning');
+        return;
     }
 
-    // Add aspect ratio for other models
-    if (modelConfig.supportsAspectRatio && !state.selectedModel.includes('gemini')) {
-        requestBody.aspect_ratio = state.aspectRatio;
+    const compareId = Date.now() + Math.random();
+    let jobs;
+    try {
+        jobs = createTemplateJobs(prompt, models, { compareId, promptSnippets: getAppendedSnippets() });
+    } catch (error) {
+        showToast(error.message, 'warning');
+        return;
     }
 
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${state.apiKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': window.location.origin,
-            'X-Title': 'Imagen Internal Tool'
-        },
-        body: JSON.stringify(requestBody)
-    });
+    const total = estimateJobsCost(jobs);
+    if (!confirmTemplateJobs(jobs, total) || !confirmWithinBudget(total)) return;
 
-    if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error?.message || `API error: ${response.status}`);
+    state.comparison = {
+        id: compareId,
+        prompt,
+        models: models.map(model => ({ model, modelName: MODEL_CONFIGS[model].name })),
+        referenceCount: state.references.length
+    };
+    localStorage.setItem('imagen_comparison', JSON.stringify(state.comparison));
+
+    recordPromptUse(prompt);
+    for (const job of jobs) {
+        await enqueueBatch(job, state.imageCount, { notify: false });
     }
+    renderComparison();
 
-    const data = await response.json();
+    const skipped = state.references.length > 0
+        ? models.filter(model => !MODEL_CONFIGS[model].supportsImageInput).map(model => MODEL_CONFIGS[model].name)
+        : [];
+    showToast(`Comparing ${models.length} models${skipped.length > 0 ? ` (references skipped for ${skipped.join(', ')})` : ''}`, 'success');
+}
 
-    // Extract image from response
-    // OpenRouter returns images in different formats depending on the model
-    const message = data.choices?.[0]?.message;
+async function renderComparison() {
+    const comparison = state.comparison;
+    if (!comparison) {
+        elements.comparePanel.style.display = 'none';
+        return;
+    }
 
-    if (!message) {
-        throw new Error('No response from model');
+    let images = [];
+    try {
+        images = await ImagenDB.getImagesByIds([...await ImagenDB.getImageIdsByIndex('compareId', IDBKeyRange.only(comparison.id))]);
+    } catch (error) {
+        console.warn('Could not load comparison images:', error);
+    }
+    // Closed or replaced while loading
+    if (state.comparison !== comparison) return;
+    state.comparisonImages = images;
+
+    const countEntries = (entries, model) => entries.filter(entry =>
+        entry.job.compareId === comparison.id && entry.job.model === model
+    ).length;
+
+    elements.comparePrompt.textContent = comparison.prompt;
+    elements.compareGrid.innerHTML = comparison.models.map(({ model, modelName }) => {
+        const modelImages = images.filter(image => image.model === model).reverse();
+        const pending = countEntries(state.queue, model);
+        const failed = countEntries(state.failedEntries, model);
+        const skippedReferences = comparison.referenceCount > 0 && !MODEL_CONFIGS[model]?.supportsImageInput;
+        return `
+            <div class="compare-column">
+                <h3 class="compare-model">${escapeHtml(modelName)}</h3>
+                ${skippedReferences ? '<p class="panel-muted">References skipped, this model takes text only</p>' : ''}
+                ${modelImages.map(image => `
+                    <div class="compare-image">
+                        <img src="${getThumbnailUrl(image)}" alt="${escapeHtml(modelName)}" data-compare-action="open" data-image-id="${image.id}">
+                        <button type="button" class="btn btn-ghost btn-inline" data-compare-action="winner" data-image-id="${image.id}">Pick Winner</button>
+                    </div>
+                `).join('')}
+                ${'<div class="compare-image compare-pending">Generating...</div>'.repeat(pending)}
+                ${failed > 0 ? `<p class="panel-muted">${failed} failed, see the error cards in the gallery</p>` : ''}
+            </div>
+        `;
+    }).join('');
+    elements.comparePanel.style.display = 'block';
+}
+
+// Re-renders the comparison when one of its jobs settles
+function refreshComparison(entry) {
+    if (state.comparison && entry.job.compareId === state.comparison.id) {
+        renderComparison();
     }
+}
 
-    // Log full response for debugging
-    console.log('API Response:', JSON.stringify(data, null, 2));
+async function handleCompareAction(e) {
+    const target = e.target.closest('[data-compare-action]');
+    if (!target) return;
 
-    // Check for images array in message (OpenRouter SDK format)
-    // According to OpenRouter docs: message.images[].image_url.url
-    if (message.images && message.images.length > 0) {
-        const img = message.images[0];
-        // OpenRouter SDK format: { image_url: { url: "data:image/..." } }
-        if (img.image_url?.url) {
-            return img.image_url.url;
-        }
-        // Alternative formats
-        if (typeof img === 'string') {
-            if (img.startsWith('data:') || img.startsWith('http')) {
-                return img;
-            }
-            return `data:image/png;base64,${img}`;
-        }
-        if (img.url) return img.url;
-        if (img.b64_json) return `data:image/png;base64,${img.b64_json}`;
+    const image = state.comparisonImages.find(img => String(img.id) === target.dataset.imageId);
+    if (!image) return;
+    if (target.dataset.compareAction === 'open') {
+        openModal(image);
+    } else {
+        await pickComparisonWinner(image);
     }
+}
 
-    // Check for image in content parts (different models may use this format)
-    if (Array.isArray(message.content)) {
-        for (const part of message.content) {
-            // OpenAI-style image_url part
-            if (part.type === 'image_url' && part.image_url?.url) {
-                return part.image_url.url;
-            }
-            // Gemini-style inlineData part
-            if (part.inlineData?.data) {
-                const mimeType = part.inlineData.mimeType || 'image/png';
-                return `data:${mimeType};base64,${part.inlineData.data}`;
-            }
-            // Generic image part
-            if (part.type === 'image' && part.image) {
-                if (part.image.startsWith('data:')) {
-                    return part.image;
-                }
-                return `data:image/png;base64,${part.image}`;
-            }
-        }
+// Keeps the winner, stops the comparison's unfinished jobs and moves the other results to the trash
+async function pickComparisonWinner(winner) {
+    const compareId = state.comparison.id;
+    state.queue
+        .filter(entry => entry.job.compareId === compareId)
+        .forEach(entry => cancelQueueEntry(entry));
+
+    const losers = state.comparisonImages.filter(image => image.id !== winner.id).map(image => image.id);
+    closeComparison();
+    if (losers.length > 0) {
+        await moveImagesToTrash(losers, `Kept the ${winner.modelName} image and moved ${losers.length} other(s) to the trash`);
     }
+}
 
-    // Check if content itself is the image data (some models return this way)
-    if (typeof message.content === 'string' && message.content.startsWith('data:image')) {
-        return message.content;
+function closeComparison() {
+    state.comparison = null;
+    state.comparisonImages = [];
+    localStorage.removeItem('imagen_comparison');
+    renderComparison();
+}
+
+// ===== Edit Sessions =====
+async function loadActiveSession() {
+    const id = localStorage.getItem('imagen_active_session');
+    if (!id) return;
+    try {
+        state.activeSession = await ImagenDB.getSession(id);
+    } catch (error) {
+        console.warn('Could not load edit session:', error);
+    }
+    if (!state.activeSession) {
+        localStorage.removeItem('imagen_active_session');
     }
+}
 
-    throw new Error('No image in response. Check console for full API response.');
+// Turns from the start of the thread down to `imageId`, following each turn's parent
+function getSessionPath(session, imageId) {
+    const turns = new Map(session.turns.map(turn => [turn.imageId, turn]));
+    const path = [];
+    for (let turn = turns.get(imageId); turn; turn = turns.get(turn.parentImageId)) {
+        path.unshift(turn);
+    }
+    return path;
 }
 
-// ===== Gallery =====
-function renderGallery() {
-    const hasPending = state.pendingBatches.length > 0;
-    const hasImages = state.images.length > 0;
+/**
+ * Continues an image's session from that image, or starts a new session with
+ * the image (its prompt, references and result) as the first turn.
+ */
+async function startEditSession(image) {
+    if (image.sessionId) {
+        const session = await ImagenDB.getSession(image.sessionId).catch(() => null);
+        if (session) {
+            await activateSessionStep(session, image.id);
+            return;
+        }
+    }
 
-    if (!hasImages && !hasPending) {
-        elements.galleryEmpty.style.display = 'flex';
-        elements.gallery.innerHTML = '';
-        elements.gallery.appendChild(elements.galleryEmpty);
+    if (!MODEL_CONFIGS[image.model]?.supportsImageInput) {
+        showToast(`${image.modelName || image.model} can't take images back, so it can't run an edit session`, 'warning');
         return;
     }
 
-    elements.gallery.innerHTML = '';
+    const now = new Date().toISOString();
+    const session = {
+        id: `session-${Date.now()}`,
+        title: image.prompt,
+        model: image.model,
+        modelName: image.modelName,
+        turns: [{
+            imageId: image.id,
+            parentImageId: null,
+            prompt: image.prompt,
+            promptSnippets: image.promptSnippets || [],
+            referenceIds: [...(image.referenceIds || [])],
+            assistantText: null,
+            createdAt: image.createdAt
+        }],
+        activeImageId: image.id,
+        createdAt: now,
+        updatedAt: now
+    };
+    await activateSessionStep(session, image.id);
 
-    // Render loading placeholders for pending batches at the top
-    state.pendingBatches.forEach((batch) => {
-        const pendingCount = batch.count - batch.completed - batch.failed;
-        for (let i = 0; i < pendingCount; i++) {
-            const placeholder = document.createElement('div');
-            placeholder.className = 'image-card loading-placeholder';
-            const safePrompt = escapeHtml(batch.prompt);
-            const truncatedPrompt = batch.prompt.length > 60 ? batch.prompt.substring(0, 60) + '...' : batch.prompt;
-            placeholder.innerHTML = `
-                <div class="loading-placeholder-content">
-                    <div class="loading-spinner"></div>
-                    <span class="loading-placeholder-text">Generating...</span>
-                </div>
-                <div class="image-card-overlay" style="opacity: 1;">
-                    <p class="image-card-prompt">${escapeHtml(truncatedPrompt)}</p>
-                    <div class="image-card-meta">
-                        <span class="meta-tag">${escapeHtml(batch.modelName)}</span>
-                        <span class="meta-tag loading-tag">
-                            <svg class="spin-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                <line x1="12" y1="2" x2="12" y2="6"></line>
-                                <line x1="12" y1="18" x2="12" y2="22"></line>
-                                <line x1="4.93" y1="4.93" x2="7.76" y2="7.76"></line>
-                                <line x1="16.24" y1="16.24" x2="19.07" y2="19.07"></line>
-                                <line x1="2" y1="12" x2="6" y2="12"></line>
-                                <line x1="18" y1="12" x2="22" y2="12"></line>
-                                <line x1="4.93" y1="19.07" x2="7.76" y2="16.24"></line>
-                                <line x1="16.24" y1="7.76" x2="19.07" y2="4.93"></line>
-                            </svg>
-                            Pending
-                        </span>
-                    </div>
-                </div>
-            `;
-            elements.gallery.appendChild(placeholder);
-        }
-    });
+    // Link the root image too, so opening it again resumes this session instead of starting another
+    image.sessionId = session.id;
+    const loaded = state.images.find(img => img.id === image.id);
+    if (loaded) loaded.sessionId = session.id;
+    try {
+        await ImagenDB.updateImage(image.id, { sessionId: session.id });
+    } catch (error) {
+        console.warn('Could not link the image to its edit session:', error);
+    }
+}
+
+// Makes `imageId` the step the next instruction follows on from; picking an earlier step starts a branch
+async function activateSessionStep(session, imageId) {
+    state.activeSession = { ...session, activeImageId: imageId };
+    localStorage.setItem('imagen_active_session', session.id);
+    try {
+        await ImagenDB.saveSession(state.activeSession);
+    } catch (error) {
+        console.error('Could not save edit session:', error);
+        showToast('Could not save the edit session', 'error');
+    }
 
-    // Render existing images
-    state.images.forEach((image, index) => {
-        const card = document.createElement('div');
-        card.className = 'image-card';
+    closeModal();
+    renderSessionBar();
+    setPromptText('');
+    elements.promptInput.focus();
+    const step = getSessionPath(state.activeSession, imageId).length;
+    showToast(`Editing from step ${step}. Describe the next change and click Generate.`, 'info');
+}
 
-        // Sanitize URL - only allow data URIs and https URLs
-        const safeUrl = sanitizeImageUrl(image.url);
-        const safePrompt = escapeHtml(image.prompt);
+function endEditSession() {
+    state.activeSession = null;
+    localStorage.removeItem('imagen_active_session');
+    renderSessionBar();
+}
 
-        card.innerHTML = `
-            <div class="image-card-actions image-card-actions-top">
-                <button class="image-card-btn image-card-download" data-index="${index}" title="Download image">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-                        <polyline points="7 10 12 15 17 10"></polyline>
-                        <line x1="12" y1="15" x2="12" y2="3"></line>
-                    </svg>
-                </button>
-                <button class="image-card-btn image-card-delete" data-index="${index}" title="Delete image">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                        <polyline points="3 6 5 6 21 6"></polyline>
-                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                        <line x1="10" y1="11" x2="10" y2="17"></line>
-                        <line x1="14" y1="11" x2="14" y2="17"></line>
-                    </svg>
-                </button>
-            </div>
-            <div class="image-card-actions image-card-actions-bottom">
-                <button class="image-card-btn image-card-reference" data-index="${index}" title="Use as reference">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                        <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path>
-                        <circle cx="12" cy="10" r="3"></circle>
-                    </svg>
-                </button>
-                <button class="image-card-btn image-card-recreate" data-index="${index}" title="Recreate with same settings">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                        <polyline points="23 4 23 10 17 10"></polyline>
-                        <polyline points="1 20 1 14 7 14"></polyline>
-                        <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"></path>
-                    </svg>
-                </button>
-            </div>
-            <img src="${safeUrl}" alt="${safePrompt}" loading="lazy">
-            <div class="image-card-overlay">
-                <p class="image-card-prompt">${safePrompt}</p>
-                <div class="image-card-meta">
-                    <span class="meta-tag">${escapeHtml(image.modelName || image.model)}</span>
-                    <span class="meta-tag">${escapeHtml(image.quality || image.size)}</span>
-                    <span class="meta-tag">${escapeHtml(image.aspectRatio)}</span>
-                </div>
-            </div>
+async function renderSessionBar() {
+    const session = state.activeSession;
+    updateGeminiOptionsVisibility();
+    updateCostEstimate();
+    if (!session) {
+        elements.sessionBar.style.display = 'none';
+        return;
+    }
+
+    const path = getSessionPath(session, session.activeImageId);
+    let images = [];
+    try {
+        images = await ImagenDB.getImagesByIds(path.map(turn => turn.imageId));
+    } catch (error) {
+        console.warn('Could not load session images:', error);
+    }
+    if (state.activeSession !== session) return;
+
+    elements.sessionSummary.textContent = `${session.modelName || session.model} · step ${path.length} of this branch, ${session.turns.length} in the thread`;
+    elements.sessionSteps.innerHTML = path.map((turn, i) => {
+        const image = images.find(img => img.id === turn.imageId);
+        const active = turn.imageId === session.activeImageId;
+        return `
+            <button type="button" class="session-step${active ? ' active' : ''}" data-session-step="${turn.imageId}" title="Step ${i + 1}: ${escapeHtml(turn.prompt)}">
+                ${image ? `<img src="${getThumbnailUrl(image)}" alt="">` : `<span>${i + 1}</span>`}
+            </button>
         `;
+    }).join('');
+    elements.sessionBar.style.display = 'flex';
+}
 
-        // Download button handler
-        const downloadBtn = card.querySelector('.image-card-download');
-        downloadBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            downloadImageByIndex(index);
-        });
+async function handleSessionStepClick(e) {
+    const step = e.target.closest('[data-session-step]');
+    if (!step || !state.activeSession) return;
+    const imageId = Number(step.dataset.sessionStep);
+    if (imageId === state.activeSession.activeImageId) return;
+    await activateSessionStep(state.activeSession, imageId);
+}
 
-        // Delete button handler
-        const deleteBtn = card.querySelector('.image-card-delete');
-        deleteBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            deleteImage(index);
-        });
+const sessionContextWarnings = new WeakSet(); // Jobs already warned about missing session images
 
-        // Reference button handler
-        const referenceBtn = card.querySelector('.image-card-reference');
-        referenceBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            addImageAsReference(index);
+/**
+ * The messages of every earlier turn on the way to the job's parent step: each
+ * instruction (with its references) and the image the model answered with.
+ */
+async function buildSessionMessages(job) {
+    const session = await ImagenDB.getSession(job.sessionId);
+    if (!session) {
+        throw new Error('This edit session no longer exists');
+    }
+
+    const maxDimension = job.modelConfig.maxReferenceDimension || DEFAULT_MAX_REFERENCE_DIMENSION;
+    const messages = [];
+    let missingCount = 0;
+    for (const turn of getSessionPath(session, job.parentImageId)) {
+        const resolved = await Promise.all(turn.referenceIds.map(ref => resolveReferenceUrl(ref, maxDimension)));
+        const referenceUrls = resolved.filter(Boolean);
+        missingCount += resolved.length - referenceUrls.length;
+        messages.push({
+            role: 'user',
+            content: referenceUrls.length === 0 ? getRequestPrompt(turn) : [
+                ...referenceUrls.map(url => ({ type: 'image_url', image_url: { url, detail: 'high' } })),
+                { type: 'text', text: getRequestPrompt(turn) }
+            ]
         });
 
-        // Recreate button handler
-        const recreateBtn = card.querySelector('.image-card-recreate');
-        recreateBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            recreateImageByIndex(index);
+        // A step whose image has since been deleted is replayed as text only
+        const imageUrl = await resolveReferenceUrl(turn.imageId, maxDimension);
+        if (!imageUrl) missingCount++;
+        messages.push({
+            role: 'assistant',
+            content: turn.assistantText || '',
+            ...(imageUrl ? { images: [{ type: 'image_url', image_url: { url: imageUrl } }] } : {})
         });
+    }
 
-        // Open modal on card click
-        card.addEventListener('click', () => openModal(image));
-        elements.gallery.appendChild(card);
-    });
+    // Once per job, not for every image or retry in its batch
+    if (missingCount > 0 && !sessionContextWarnings.has(job)) {
+        sessionContextWarnings.add(job);
+        showToast(`${missingCount} image(s) from earlier steps of this session are no longer stored, so the model won't see them`, 'warning');
+    }
+    return messages;
 }
 
-// ===== Incremental Gallery Updates =====
-function addLoadingPlaceholders(batch, count) {
-    // Hide empty state if showing
-    elements.galleryEmpty.style.display = 'none';
-    
-    for (let i = 0; i < count; i++) {
-        const placeholder = createPlaceholderElement(batch);
-        elements.gallery.insertBefore(placeholder, elements.gallery.firstChild);
+async function recordSessionTurn(job, image, assistantText) {
+    const turn = {
+        imageId: image.id,
+        parentImageId: job.parentImageId,
+        prompt: job.prompt,
+        promptSnippets: [...job.promptSnippets],
+        referenceIds: [...job.referenceIds],
+        assistantText: assistantText || null,
+        createdAt: image.createdAt
+    };
+    let session = null;
+    try {
+        session = await ImagenDB.addSessionTurn(job.sessionId, turn);
+    } catch (error) {
+        console.error('Could not save session turn:', error);
+    }
+    if (session && state.activeSession?.id === session.id) {
+        state.activeSession = session;
+        renderSessionBar();
     }
 }
 
-function createPlaceholderElement(batch) {
-    const placeholder = document.createElement('div');
-    placeholder.className = 'image-card loading-placeholder';
-    placeholder.dataset.batchId = batch.id;
-    const truncatedPrompt = batch.prompt.length > 60 ? batch.prompt.substring(0, 60) + '...' : batch.prompt;
-    placeholder.innerHTML = `
-        <div class="loading-placeholder-content">
-            <div class="loading-spinner"></div>
-            <span class="loading-placeholder-text">Generating...</span>
-        </div>
-        <div class="image-card-overlay" style="opacity: 1;">
-            <p class="image-card-prompt">${escapeHtml(truncatedPrompt)}</p>
-            <div class="image-card-meta">
-                <span class="meta-tag">${escapeHtml(batch.modelName)}</span>
-                <span class="meta-tag loading-tag">
-                    <svg class="spin-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                        <line x1="12" y1="2" x2="12" y2="6"></line>
-                        <line x1="12" y1="18" x2="12" y2="22"></line>
-                        <line x1="4.93" y1="4.93" x2="7.76" y2="7.76"></line>
-                        <line x1="16.24" y1="16.24" x2="19.07" y2="19.07"></line>
-                        <line x1="2" y1="12" x2="6" y2="12"></line>
-                        <line x1="18" y1="12" x2="22" y2="12"></line>
-                        <line x1="4.93" y1="19.07" x2="7.76" y2="16.24"></line>
-                        <line x1="16.24" y1="7.76" x2="19.07" y2="4.93"></line>
-                    </svg>
-                    Pending
-                </span>
-            </div>
-        </div>
+// Lists the thread up to this image in the modal, with a way to branch from any step
+async function renderModalSession(image) {
+    const container = document.getElementById('modalSession');
+    if (!container || !image.sessionId) return;
+
+    const session = await ImagenDB.getSession(image.sessionId).catch(() => null);
+    if (!session || state.currentImage !== image) return;
+    state.modalSession = session;
+
+    const path = getSessionPath(session, image.id);
+    container.innerHTML = `
+        <p><strong>Edit Session:</strong> step ${path.length} with ${escapeHtml(session.modelName || session.model)}</p>
+        <ol class="session-thread">
+            ${path.map(turn => `
+                <li>
+                    <span>${escapeHtml(turn.prompt)}</span>
+                    <button type="button" class="btn btn-ghost btn-inline" data-session-branch="${turn.imageId}">
+                        ${turn.imageId === image.id ? 'Continue from here' : 'Branch from here'}
+                    </button>
+                </li>
+            `).join('')}
+        </ol>
     `;
-    return placeholder;
 }
 
-function removeOnePlaceholder(batchId) {
-    const placeholder = elements.gallery.querySelector(`.loading-placeholder[data-batch-id="${batchId}"]`);
-    if (placeholder) {
-        placeholder.remove();
-    }
-    
-    // Show empty state if gallery is now empty
-    if (elements.gallery.children.length === 0 || 
-        (elements.gallery.children.length === 1 && elements.gallery.contains(elements.galleryEmpty))) {
-        elements.galleryEmpty.style.display = 'flex';
-        if (!elements.gallery.contains(elements.galleryEmpty)) {
-            elements.gallery.appendChild(elements.galleryEmpty);
-        }
-    }
+async function handleModalSessionClick(e) {
+    const button = e.target.closest('[data-session-branch]');
+    if (!button || !state.modalSession) return;
+    await activateSessionStep(state.modalSession, Number(button.dataset.sessionBranch));
 }
 
-function prependImageCard(image, index) {
-    const card = createImageCardElement(image, index);
-    
-    // Insert after any remaining placeholders
-    const firstNonPlaceholder = elements.gallery.querySelector('.image-card:not(.loading-placeholder)');
-    if (firstNonPlaceholder) {
-        elements.gallery.insertBefore(card, firstNonPlaceholder);
-    } else {
-        elements.gallery.appendChild(card);
-    }
-    
-    // Update indices on existing cards since we prepended
-    updateCardIndices();
-}
+// ===== Region Editing =====
+const INPAINT_STROKE_COLOR = '#ff4d6d';
 
-function createImageCardElement(image, index) {
-    const card = document.createElement('div');
-    card.className = 'image-card';
-    card.dataset.imageId = image.id;
+// The model gets the original and the mask as two plain images, so the text says which is which
+function buildInpaintPrompt(instruction) {
+    return 'The second image is a mask for the first: white marks the area to change, black the area to keep exactly as it is. ' +
+        `Edit only the white area of the first image: ${instruction}`;
+}
 
-    const safeUrl = sanitizeImageUrl(image.url);
-    const safePrompt = escapeHtml(image.prompt);
+function openInpaintEditor() {
+    const image = state.currentImage;
+    if (!image) return;
 
-    card.innerHTML = `
-        <div class="image-card-actions image-card-actions-top">
-            <button class="image-card-btn image-card-download" title="Download image">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-                    <polyline points="7 10 12 15 17 10"></polyline>
-                    <line x1="12" y1="15" x2="12" y2="3"></line>
-                </svg>
-            </button>
-            <button class="image-card-btn image-card-delete" title="Delete image">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                    <polyline points="3 6 5 6 21 6"></polyline>
-                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                    <line x1="10" y1="11" x2="10" y2="17"></line>
-                    <line x1="14" y1="11" x2="14" y2="17"></line>
-                </svg>
-            </button>
-        </div>
-        <div class="image-card-actions image-card-actions-bottom">
-            <button class="image-card-btn image-card-reference" title="Use as reference">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                    <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path>
-                    <circle cx="12" cy="10" r="3"></circle>
-                </svg>
-            </button>
-            <button class="image-card-btn image-card-recreate" title="Recreate with same settings">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                    <polyline points="23 4 23 10 17 10"></polyline>
-                    <polyline points="1 20 1 14 7 14"></polyline>
-                    <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"></path>
-                </svg>
-            </button>
-        </div>
-        <img src="${safeUrl}" alt="${safePrompt}" loading="lazy">
-        <div class="image-card-overlay">
-            <p class="image-card-prompt">${safePrompt}</p>
-            <div class="image-card-meta">
-                <span class="meta-tag">${escapeHtml(image.modelName || image.model)}</span>
-                <span class="meta-tag">${escapeHtml(image.quality || image.size)}</span>
-                <span class="meta-tag">${escapeHtml(image.aspectRatio)}</span>
-            </div>
-        </div>
-    `;
+    const models = Object.keys(MODEL_CONFIGS).filter(model => MODEL_CONFIGS[model].supportsImageInput);
+    if (models.length === 0) {
+        showToast('None of the available models can take an image to edit', 'warning');
+        return;
+    }
+    const preferred = [image.model, state.selectedModel].find(model => models.includes(model)) || models[0];
+    elements.inpaintModel.innerHTML = models.map(model => `
+        <option value="${escapeHtml(model)}"${model === preferred ? ' selected' : ''}>${escapeHtml(MODEL_CONFIGS[model].name)}</option>
+    `).join('');
+
+    // Paint at the image's own resolution so the mask lines up with the original; resizing also clears it
+    const canvas = elements.inpaintCanvas;
+    canvas.width = image.width || elements.modalImage.naturalWidth;
+    canvas.height = image.height || elements.modalImage.naturalHeight;
+
+    state.inpaint = { image, tool: 'brush', lastPoint: null };
+    setInpaintTool('brush');
+    elements.inpaintInstruction.value = '';
+    elements.imageModal.classList.add('inpainting');
+    elements.inpaintInstruction.focus();
+}
 
-    // Attach event handlers
-    attachImageCardHandlers(card, image);
-    
-    return card;
+function closeInpaintEditor() {
+    state.inpaint = null;
+    elements.imageModal.classList.remove('inpainting');
 }
 
-function attachImageCardHandlers(card, image) {
-    const imageId = image.id;
-    
-    card.querySelector('.image-card-download').addEventListener('click', (e) => {
-        e.stopPropagation();
-        const idx = state.images.findIndex(img => img.id === imageId);
-        if (idx !== -1) downloadImageByIndex(idx);
+function setInpaintTool(tool) {
+    if (!state.inpaint) return;
+    state.inpaint.tool = tool;
+    elements.inpaintEditor.querySelectorAll('[data-inpaint-tool]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.inpaintTool === tool);
     });
+}
 
-    card.querySelector('.image-card-delete').addEventListener('click', (e) => {
-        e.stopPropagation();
-        const idx = state.images.findIndex(img => img.id === imageId);
-        if (idx !== -1) deleteImage(idx);
-    });
+function clearInpaintMask() {
+    const canvas = elements.inpaintCanvas;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+}
 
-    card.querySelector('.image-card-reference').addEventListener('click', (e) => {
-        e.stopPropagation();
-        const idx = state.images.findIndex(img => img.id === imageId);
-        if (idx !== -1) addImageAsReference(idx);
-    });
+// Maps a pointer position (and the on-screen brush size) onto the canvas's own pixels
+function getInpaintPoint(e) {
+    const canvas = elements.inpaintCanvas;
+    const rect = canvas.getBoundingClientRect();
+    const scale = canvas.width / rect.width;
+    return {
+        x: (e.clientX - rect.left) * scale,
+        y: (e.clientY - rect.top) * scale,
+        radius: Number(elements.inpaintBrushSize.value) / 2 * scale
+    };
+}
 
-    card.querySelector('.image-card-recreate').addEventListener('click', (e) => {
-        e.stopPropagation();
-        const idx = state.images.findIndex(img => img.id === imageId);
-        if (idx !== -1) recreateImageByIndex(idx);
-    });
+function paintInpaintStroke(from, to) {
+    const ctx = elements.inpaintCanvas.getContext('2d');
+    ctx.globalCompositeOperation = state.inpaint.tool === 'eraser' ? 'destination-out' : 'source-over';
+    ctx.strokeStyle = INPAINT_STROKE_COLOR;
+    ctx.fillStyle = INPAINT_STROKE_COLOR;
+    ctx.lineWidth = to.radius * 2;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    // A click without movement still leaves a dot
+    ctx.beginPath();
+    ctx.arc(to.x, to.y, to.radius, 0, Math.PI * 2);
+    ctx.fill();
+}
 
-    card.addEventListener('click', () => {
-        const idx = state.images.findIndex(img => img.id === imageId);
-        if (idx !== -1) openModal(state.images[idx]);
-    });
+function handleInpaintPointerDown(e) {
+    if (!state.inpaint) return;
+    e.preventDefault();
+    elements.inpaintCanvas.setPointerCapture(e.pointerId);
+    const point = getInpaintPoint(e);
+    paintInpaintStroke(point, point);
+    state.inpaint.lastPoint = point;
 }
 
-function updateCardIndices() {
-    // No longer needed since we use image IDs instead of indices
+function handleInpaintPointerMove(e) {
+    if (!state.inpaint?.lastPoint) return;
+    const point = getInpaintPoint(e);
+    paintInpaintStroke(state.inpaint.lastPoint, point);
+    state.inpaint.lastPoint = point;
 }
 
-async function deleteImage(index) {
-    const imageToDelete = state.images[index];
-    state.images.splice(index, 1);
+function endInpaintStroke() {
+    if (state.inpaint) state.inpaint.lastPoint = null;
+}
 
-    try {
-        await ImagenDB.deleteImage(imageToDelete.id);
-    } catch (e) {
-        console.warn('Could not delete from IndexedDB:', e);
+function isInpaintMaskEmpty() {
+    const canvas = elements.inpaintCanvas;
+    const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] > 0) return false;
     }
+    return true;
+}
 
-    // Remove card from DOM without full re-render
-    const card = elements.gallery.querySelector(`.image-card[data-image-id="${imageToDelete.id}"]`);
-    if (card) {
-        card.remove();
+// Flattens the strokes into the usual edit mask: white where painted, black everywhere else
+function createInpaintMaskBlob() {
+    const source = elements.inpaintCanvas;
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0);
+    ctx.globalCompositeOperation = 'source-in';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * Queues the region edit: the original and the mask go to the model as its two
+ * input images, and the result is saved as a new image whose parent is the original.
+ */
+async function submitInpaint() {
+    const inpaint = state.inpaint;
+    if (!inpaint) return;
+
+    const instruction = elements.inpaintInstruction.value.trim();
+    if (!instruction) {
+        showToast('Describe what should change in the painted area', 'warning');
+        elements.inpaintInstruction.focus();
+        return;
     }
-    
-    // Show empty state if gallery is now empty
-    if (state.images.length === 0 && state.pendingBatches.length === 0) {
-        elements.galleryEmpty.style.display = 'flex';
-        if (!elements.gallery.contains(elements.galleryEmpty)) {
-            elements.gallery.appendChild(elements.galleryEmpty);
-        }
+    if (isInpaintMaskEmpty()) {
+        showToast('Paint over the area you want to change first', 'warning');
+        return;
+    }
+    if (!state.apiKey) {
+        showToast('Please enter your OpenRouter API key', 'error');
+        return;
     }
-    
-    showToast('Image deleted', 'success');
-}
 
-function downloadImageByIndex(index) {
-    const image = state.images[index];
-    if (!image) return;
+    const model = elements.inpaintModel.value;
+    if (!MODEL_CONFIGS[model]?.supportsImageInput) {
+        showToast('Pick a model that accepts image input', 'warning');
+        return;
+    }
 
-    const link = document.createElement('a');
-    link.href = image.url;
-    const timestamp = new Date(image.createdAt).toISOString().replace(/[:.]/g, '-');
-    const ext = getImageExtension(image.url);
-    link.download = `imagen-${timestamp}.${ext}`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    showToast('Image downloaded', 'success');
-}
+    // The prompt describes two images, so the edit can't go ahead with only the mask
+    const { image } = inpaint;
+    if (!await resolveReferenceUrl(image.id)) {
+        showToast('This image\'s data is no longer stored, so it can\'t be edited', 'error');
+        return;
+    }
 
-function addImageAsReference(index) {
-    const image = state.images[index];
-    if (!image) return;
+    let maskId;
+    try {
+        const mask = await createInpaintMaskBlob();
+        maskId = await saveReferenceBlob(mask, await hashBlob(mask));
+    } catch (error) {
+        console.error('Could not save the mask:', error);
+        showToast('Could not save the mask', 'error');
+        return;
+    }
+    if (state.inpaint !== inpaint) {
+        discardInpaintMask(maskId);
+        return;
+    }
 
-    state.references.push(image.url);
-    renderReferenceSlots();
-    showToast('Image added as reference', 'success');
+    const job = createGenerationJob(instruction, {
+        model,
+        quality: image.quality,
+        aspectRatio: image.aspectRatio,
+        referenceIds: [image.id, maskId],
+        parentImageId: image.id,
+        maskId
+    });
+    if (!confirmWithinBudget(estimateJobCost(job).cost)) {
+        discardInpaintMask(maskId);
+        return;
+    }
+
+    closeModal();
+    await enqueueBatch(job, 1, { notify: false });
+    showToast('Queued a region edit of this image', 'success');
 }
 
-function recreateImageByIndex(index) {
-    const image = state.images[index];
-    if (!image) return;
+// Drops a mask once its edit was cancelled or its error card dismissed, unless another edit drew the same one
+function discardInpaintMask(maskId) {
+    if (!maskId || getInUseBlobIds().includes(maskId)) return;
+    ImagenDB.deleteUnusedBlobs([maskId]).catch(e => console.warn('Could not delete mask:', e));
+}
 
-    // Restore prompt
-    elements.promptInput.value = image.prompt;
-    elements.charCount.textContent = `${image.prompt.length} chars`;
+// ===== Lineage =====
+const MAX_LINEAGE_DEPTH = 8;
 
-    // Restore model using custom select
-    state.selectedModel = image.model;
-    localStorage.setItem('imagen_model', state.selectedModel);
-    const modelOption = document.querySelector(`.custom-select-option[data-value="${image.model}"]`);
-    if (modelOption) {
-        document.querySelectorAll('.custom-select-option').forEach(o => o.classList.remove('selected'));
-        modelOption.classList.add('selected');
-        elements.modelSelectValue.textContent = modelOption.textContent;
-    }
-    updateGeminiOptionsVisibility();
+// Gallery images are keyed by number; uploaded references and masks by a string
+function isImageId(id) {
+    return typeof id === 'number';
+}
 
-    // Restore quality/size
-    document.querySelectorAll('.btn-toggle').forEach(btn => {
-        btn.classList.remove('active');
-        if (btn.dataset.quality === image.quality) {
-            btn.classList.add('active');
-        }
-    });
+// The images a record (image or job) was made from: the image it edits and any gallery images used as references
+function getImageParentIds(record) {
+    return [...new Set([record.parentImageId, ...(record.referenceIds || [])].filter(isImageId))];
+}
 
-    // Restore aspect ratio
-    document.querySelectorAll('.btn-aspect').forEach(btn => {
-        btn.classList.remove('active');
-        if (btn.dataset.ratio === image.aspectRatio) {
-            btn.classList.add('active');
-        }
-    });
+async function getImageChildIds(image) {
+    return [...await ImagenDB.getImageIdsByIndex('parentIds', IDBKeyRange.only(image.id))];
+}
 
-    // Restore references
-    if (image.references && image.references.length > 0) {
-        state.references = [...image.references];
-    } else {
-        state.references = [];
+/**
+ * Walks the lineage one generation at a time, ancestors or descendants depending
+ * on `getNextIds`. An image reachable along two paths is only listed the first time.
+ */
+async function loadLineageNodes(ids, getNextIds, depth, seen) {
+    const fresh = ids.filter(id => !seen.has(id));
+    fresh.forEach(id => seen.add(id));
+    if (fresh.length === 0) return [];
+
+    const images = await ImagenDB.getImagesByIds(fresh);
+    const nodes = [];
+    for (const id of fresh) {
+        const image = images.find(img => img.id === id) || null;
+        const nextIds = image && depth < MAX_LINEAGE_DEPTH ? await getNextIds(image) : [];
+        nodes.push({ id, image, children: await loadLineageNodes(nextIds, getNextIds, depth + 1, seen) });
     }
-    renderReferenceSlots();
-
-    showToast('Settings restored. Click Generate to recreate.', 'success');
+    return nodes;
+}
 
-    // Scroll to top
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+function renderLineageNodes(nodes) {
+    return `
+        <ul class="lineage-tree">
+            ${nodes.map(node => `
+                <li>
+                    ${node.image ? `
+                        <button type="button" class="lineage-node" data-lineage-open="${node.id}" title="${escapeHtml(node.image.prompt)}">
+                            <img src="${getThumbnailUrl(node.image)}" alt="">
+                            <span>${escapeHtml(node.image.prompt)}</span>
+                        </button>
+                    ` : '<span class="lineage-node missing">No longer in the gallery</span>'}
+                    ${node.children.length > 0 ? renderLineageNodes(node.children) : ''}
+                </li>
+            `).join('')}
+        </ul>
+    `;
 }
 
-// ===== Modal =====
-function openModal(image) {
-    state.currentImage = image;
-    elements.modalImage.src = sanitizeImageUrl(image.url);
-    elements.modalMetadata.innerHTML = `
-        <p><strong>Prompt:</strong> ${escapeHtml(image.prompt)}</p>
-        <p><strong>Model:</strong> ${escapeHtml(image.modelName || image.model)}</p>
-        <p><strong>Size/Quality:</strong> ${escapeHtml(image.quality || image.size)}</p>
-        <p><strong>Aspect Ratio:</strong> ${escapeHtml(image.aspectRatio)}</p>
-        <p><strong>Created:</strong> ${escapeHtml(new Date(image.createdAt).toLocaleString())}</p>
-        ${image.references?.length > 0 ? `<p><strong>References Used:</strong> ${escapeHtml(image.references.length)}</p>` : ''}
+// Shows what this image was made from and what was made from it, each as a clickable tree
+async function renderModalLineage(image) {
+    const container = document.getElementById('modalLineage');
+    if (!container) return;
+
+    let ancestors = [];
+    let descendants = [];
+    try {
+        const seen = new Set([image.id]);
+        const getParentIds = img => img.parentIds || getImageParentIds(img);
+        ancestors = await loadLineageNodes(getParentIds(image), getParentIds, 1, seen);
+        descendants = await loadLineageNodes(await getImageChildIds(image), getImageChildIds, 1, seen);
+    } catch (error) {
+        console.warn('Could not load lineage:', error);
+        return;
+    }
+    if (state.currentImage !== image || (ancestors.length === 0 && descendants.length === 0)) return;
+
+    container.innerHTML = `
+        ${ancestors.length > 0 ? `<p><strong>Made From:</strong></p>${renderLineageNodes(ancestors)}` : ''}
+        ${descendants.length > 0 ? `<p><strong>Used By:</strong></p>${renderLineageNodes(descendants)}` : ''}
     `;
-    elements.imageModal.classList.add('active');
 }
 
-function closeModal() {
-    elements.imageModal.classList.remove('active');
-    state.currentImage = null;
+async function handleLineageClick(e) {
+    const node = e.target.closest('[data-lineage-open]');
+    if (!node) return;
+    const id = Number(node.dataset.lineageOpen);
+    const image = state.images.find(img => img.id === id) || await ImagenDB.getImage(id).catch(() => null);
+    if (!image) {
+        showToast('That image is no longer in the gallery', 'warning');
+        return;
+    }
+    openModal(image);
 }
 
-function useImageAsReference() {
-    if (!state.currentImage) return;
+// ===== Selection & Bulk Actions =====
+let selectionAnchorId = null; // Last card clicked, where a shift-click range starts
 
-    state.references.push(state.currentImage.url);
-    renderReferenceSlots();
-    closeModal();
-    showToast('Image added as reference', 'success');
+// Selected images are kept by ID so the picks survive paging and virtualization
+function toggleImageSelection(imageId) {
+    if (!state.selectedImageIds.delete(imageId)) {
+        state.selectedImageIds.add(imageId);
+    }
+    renderSelection();
 }
 
-function recreateImage() {
-    if (!state.currentImage) return;
+function handleCardSelection(imageId, e) {
+    if (e.shiftKey && selectionAnchorId !== null && selectImageRange(selectionAnchorId, imageId)) {
+        return;
+    }
+    toggleImageSelection(imageId);
+    selectionAnchorId = imageId;
+}
 
-    // Restore prompt
-    elements.promptInput.value = state.currentImage.prompt;
-    elements.charCount.textContent = `${state.currentImage.prompt.length} chars`;
+// Selects every loaded card between two images in gallery order; false if either isn't loaded
+function selectImageRange(fromId, toId) {
+    const ids = state.images.map(image => image.id);
+    const from = ids.indexOf(fromId);
+    const to = ids.indexOf(toId);
+    if (from === -1 || to === -1) return false;
+    ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => state.selectedImageIds.add(id));
+    renderSelection();
+    return true;
+}
 
-    // Restore model using custom select
-    state.selectedModel = state.currentImage.model;
-    localStorage.setItem('imagen_model', state.selectedModel);
-    const modelOption = document.querySelector(`.custom-select-option[data-value="${state.currentImage.model}"]`);
-    if (modelOption) {
-        document.querySelectorAll('.custom-select-option').forEach(o => o.classList.remove('selected'));
-        modelOption.classList.add('selected');
-        elements.modelSelectValue.textContent = modelOption.textContent;
+// Every image in the current project and filters, including pages that haven't loaded yet
+async function getImageIdsInView() {
+    const ids = (await findFilteredImageIds(state.galleryFilter)) || await ImagenDB.getImageIdsByIndex('createdAt');
+    // Images that couldn't be saved only exist in memory, and may not be loaded in the view
+    state.unsavedImages.filter(image => imageMatchesFilter(image)).forEach(image => ids.add(image.id));
+    return ids;
+}
+
+// Ctrl+A picks everything in the current view
+async function selectAllImages() {
+    let ids;
+    try {
+        ids = await getImageIdsInView();
+    } catch (error) {
+        console.error('Could not select all images:', error);
+        return;
     }
-    updateGeminiOptionsVisibility();
+    ids.forEach(id => state.selectedImageIds.add(id));
+    renderSelection();
+}
 
-    // Restore quality/size
-    document.querySelectorAll('.btn-toggle').forEach(btn => {
-        btn.classList.remove('active');
-        if (btn.dataset.quality === state.currentImage.quality) {
-            btn.classList.add('active');
-            state.imageSize = btn.dataset.size;
-            state.imageQuality = btn.dataset.quality;
-        }
-    });
+function clearImageSelection() {
+    state.selectedImageIds.clear();
+    selectionAnchorId = null;
+    renderSelection();
+}
 
-    // Restore aspect ratio
-    document.querySelectorAll('.btn-aspect').forEach(btn => {
-        btn.classList.remove('active');
-        if (btn.dataset.ratio === state.currentImage.aspectRatio) {
-            btn.classList.add('active');
-            state.aspectRatio = state.currentImage.aspectRatio;
-        }
+function renderSelection() {
+    const count = state.selectedImageIds.size;
+    elements.gallery.classList.toggle('selecting', count > 0);
+    elements.gallery.querySelectorAll('.image-card[data-image-id]').forEach(card => {
+        const image = state.images.find(img => String(img.id) === card.dataset.imageId);
+        const selected = Boolean(image) && state.selectedImageIds.has(image.id);
+        card.classList.toggle('selected', selected);
+        card.querySelector('.image-card-select')?.classList.toggle('active', selected);
     });
 
-    // Restore references (always update the UI, even if empty to clear previous refs)
-    if (state.currentImage.references && state.currentImage.references.length > 0) {
-        state.references = [...state.currentImage.references];
-    } else {
-        state.references = [];
-    }
-    renderReferenceSlots();
+    elements.selectionBar.style.display = count > 0 ? '' : 'none';
+    elements.selectionCount.textContent = `${count} selected`;
+}
 
-    closeModal();
-    showToast('Settings restored. Click Generate to recreate.', 'success');
+async function getSelectedImages() {
+    const images = await ImagenDB.getImagesByIds(state.selectedImageIds);
+    const found = new Set(images.map(image => image.id));
+    const unsaved = state.unsavedImages.filter(image =>
+        state.selectedImageIds.has(image.id) && !found.has(image.id)
+    );
+    return [...unsaved, ...images];
+}
 
-    // Scroll to top
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+async function handleBulkAction(e) {
+    const button = e.target.closest('[data-bulk-action]');
+    if (!button || state.selectedImageIds.size === 0) return;
+
+    button.disabled = true;
+    try {
+        switch (button.dataset.bulkAction) {
+            case 'download':
+                await exportImagesZip(await getSelectedImages());
+                break;
+            case 'reference':
+                await addSelectedAsReferences();
+                break;
+            case 'rerun':
+                await rerunSelectedImages();
+                break;
+            case 'delete':
+                await moveImagesToTrash([...state.selectedImageIds]);
+                break;
+            case 'clear':
+                clearImageSelection();
+                break;
+        }
+    } catch (error) {
+        console.error('Bulk action failed:', error);
+        showToast('Bulk action failed', 'error');
+    }
+    button.disabled = false;
 }
 
-function downloadCurrentImage() {
-    if (!state.currentImage) return;
+async function addSelectedAsReferences() {
+    const existing = new Set(state.references.map(ref => ref.id));
+    const ids = [...state.selectedImageIds].filter(id => !existing.has(id));
+    // Gallery images are referenced by their own ID, so no bytes are copied
+    const refs = await Promise.all(ids.map(async id => ({ id, url: await getReferencePreviewUrl(id) })));
+    const added = refs.filter(ref => ref.url);
+    state.references.push(...added);
+    renderReferenceSlots();
+    saveReferenceSelection();
+    showToast(`${added.length} image(s) added as reference`, 'success');
+}
 
-    const link = document.createElement('a');
-    link.href = state.currentImage.url;
-    const ext = getImageExtension(state.currentImage.url);
-    link.download = `imagen_${state.currentImage.id}.${ext}`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    showToast('Download started', 'success');
+// Queues each selected image again with its own prompt, aspect ratio and references, on the current model
+async function rerunSelectedImages() {
+    if (!state.apiKey) {
+        showToast('Please enter your OpenRouter API key', 'error');
+        return;
+    }
+
+    const jobs = (await getSelectedImages()).map(image => createGenerationJob(image.prompt, {
+        aspectRatio: image.aspectRatio,
+        referenceIds: image.referenceIds || [],
+        promptSnippets: image.promptSnippets || []
+    }));
+    const costs = jobs.map(job => estimateJobCost(job).cost);
+    const total = costs.includes(null) ? null : costs.reduce((sum, cost) => sum + cost, 0);
+    if (!confirmWithinBudget(total)) return;
+
+    for (const job of jobs) {
+        await enqueueBatch(job, 1, { notify: false });
+    }
+    showToast(`Queued ${jobs.length} image(s) with ${MODEL_CONFIGS[state.selectedModel].name}`, 'success');
 }
 
 // ===== UI Helpers =====
+const TOAST_DURATION = 3000;
+const TOAST_ACTION_DURATION = 8000;
+
 function updateGeminiOptionsVisibility() {
-    const isGemini = state.selectedModel.includes('gemini');
+    const isGemini = getGenerationModels().some(model => model.includes('gemini'));
     elements.geminiOptions.style.display = isGemini ? 'flex' : 'none';
 }
 
-function showToast(message, type = 'info') {
+// `action` ({ label, onClick }) adds a button and keeps the toast up longer
+function showToast(message, type = 'info', action = null) {
     let container = document.querySelector('.toast-container');
     if (!container) {
         container = document.createElement('div');
@@ -1340,10 +7707,61 @@ function showToast(message, type = 'info') {
     toast.textContent = message;
     container.appendChild(toast);
 
-    setTimeout(() => {
+    let dismissed = false;
+    const dismiss = () => {
+        if (dismissed) return;
+        dismissed = true;
         toast.style.animation = 'slideIn 0.3s ease reverse';
         setTimeout(() => toast.remove(), 300);
-    }, 3000);
+    };
+
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-ghost btn-inline toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            dismiss();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
+
+    setTimeout(dismiss, action ? TOAST_ACTION_DURATION : TOAST_DURATION);
+}
+
+// Saves a Blob through a temporary link
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Give the download time to start before releasing the Blob
+    setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+}
+
+// Downloads carry the generation settings inside the file; the stored original stays untouched
+async function downloadImageFile(image, filename) {
+    let blob = null;
+    try {
+        blob = await getImageBlob(image);
+    } catch (error) {
+        console.warn('Could not read image for download:', error);
+    }
+    if (blob) {
+        downloadBlob(await embedImageMetadata(blob, image), filename);
+        return;
+    }
+
+    // Remote images we can't read (e.g. blocked by CORS) are linked to as they are
+    const link = document.createElement('a');
+    link.href = await getImageUrl(image);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
 }
 
 function escapeHtml(text) {
@@ -1353,6 +7771,23 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+function getMimeExtension(mime) {
+    mime = mime.toLowerCase();
+    // Map common mime types to extensions
+    if (mime === 'jpeg') return 'jpg';
+    if (mime === 'png') return 'png';
+    if (mime === 'gif') return 'gif';
+    if (mime === 'webp') return 'webp';
+    if (mime === 'svg+xml') return 'svg';
+    return mime;
+}
+
+// Blob-backed records carry their mime type; older ones only have the URL
+function getImageFileExtension(image) {
+    const mime = image.mimeType?.match(/^image\/([\w+]+)/);
+    return mime ? getMimeExtension(mime[1]) : getImageExtension(image.url);
+}
+
 function getImageExtension(url) {
     if (!url) return 'png';
     
@@ -1360,14 +7795,7 @@ function getImageExtension(url) {
     if (url.startsWith('data:image/')) {
         const mimeMatch = url.match(/^data:image\/(\w+)/);
         if (mimeMatch) {
-            const mime = mimeMatch[1].toLowerCase();
-            // Map common mime types to extensions
-            if (mime === 'jpeg') return 'jpg';
-            if (mime === 'png') return 'png';
-            if (mime === 'gif') return 'gif';
-            if (mime === 'webp') return 'webp';
-            if (mime === 'svg+xml') return 'svg';
-            return mime;
+            return getMimeExtension(mimeMatch[1]);
         }
     }
     
@@ -1386,8 +7814,8 @@ function getImageExtension(url) {
 
 function sanitizeImageUrl(url) {
     if (!url) return '';
-    // Only allow data URIs and HTTPS URLs
-    if (url.startsWith('data:image/')) {
+    // Only allow data URIs, our own object URLs and HTTPS URLs
+    if (url.startsWith('data:image/') || url.startsWith('blob:')) {
         return url;
     }
     if (url.startsWith('https://')) {